@@ -0,0 +1,757 @@
+// Ireland Supply Chain Pulse - Public Data Sources
+// Endpoints and parsers for the public statistics behind the dashboard. Loaded by the
+// browser (before app.js) and by the server, which builds scheduled reports from the same
+// figures (server/public-data.js), so both fetch and read the sources the same way.
+
+// Endpoint Configuration
+// Overrides (in the browser from localStorage, on the server from PUBLIC_DATA_ENDPOINTS)
+// replace fields per source: a whole url, baseUrl and/or params, or enabled: false
+const DATA_SOURCE_ENDPOINTS = {
+    worldBank: {
+        baseUrl: 'https://api.worldbank.org/v2',
+        params: 'country/IRL/indicator/NE.EXP.GNFS.CD;NE.IMP.GNFS.CD?source=2&format=json&date=2015:2025&per_page=1000',
+        enabled: true
+    },
+    oecd: {
+        baseUrl: 'https://sdmx.oecd.org/public/rest/data',
+        params: 'OECD.SDD.TPS,DSD_TRADE_GOODS@DF_TRADE_GOODS,1.0/A.IRL+WORLD...?format=jsondata',
+        enabled: true
+    },
+    cso: {
+        baseUrl: 'https://ws.cso.ie/public/api.restful/PxStat.Data.Cube_API.ReadDataset',
+        params: 'TSA11/JSON-stat/2.0/en',
+        // The RESTful endpoint always returns every period; the JSON-RPC endpoint
+        // accepts a filter on the period dimension
+        queryUrl: 'https://ws.cso.ie/public/api.jsonrpc',
+        matrix: 'TSA11',
+        timeDimension: 'TLIST(M1)',
+        enabled: true
+    },
+    eurostat: {
+        baseUrl: 'https://ec.europa.eu/eurostat/api/dissemination/statistics/1.0/data',
+        params: 'ext_lt_intratrd?format=JSON&geo=IE&time=2023',
+        enabled: true
+    },
+    // Dublin Port publishes quarterly and annual throughput as downloadable spreadsheets
+    // rather than an API. A CSV copy ships at this path (relative to the app's root);
+    // refresh it (CSV or XLSX) when new figures are published, point an endpoint override
+    // at another URL, or import the file from the Live Data Status modal
+    dublinPort: {
+        baseUrl: 'data',
+        params: 'dublin-port-throughput.csv',
+        enabled: true
+    }
+};
+
+function resolveSourceConfig(sourceId, overrides = {}) {
+    const base = DATA_SOURCE_ENDPOINTS[sourceId];
+    if (!base) throw new Error(`No API configuration for data source "${sourceId}"`);
+    return { ...base, ...overrides[sourceId] };
+}
+
+// An override may replace the whole URL, or just baseUrl and/or params
+function resolveSourceUrl(config) {
+    if (config.url) return config.url;
+    return `${config.baseUrl.replace(/\/$/, '')}/${config.params.replace(/^\//, '')}`;
+}
+
+// The dashboard's default date range: January last year to this month ('YYYY-MM')
+function getDefaultDateRange(now = new Date()) {
+    return { from: `${now.getFullYear() - 1}-01`, to: now.toISOString().slice(0, 7) };
+}
+
+// Periods
+// Period codes: '2024' (annual), '2024-Q3' / '2024Q3' (quarterly), '2024-07' / '2024M07' (monthly),
+// '2024-07-15' (daily)
+function parsePeriod(period) {
+    const text = String(period);
+    let match = /^(\d{4})$/.exec(text);
+    if (match) return { year: Number(match[1]), frequency: 'A', index: 0 };
+
+    match = /^(\d{4})-?Q([1-4])$/i.exec(text);
+    if (match) return { year: Number(match[1]), frequency: 'Q', index: Number(match[2]) };
+
+    match = /^(\d{4})(?:-|M)(\d{2})$/i.exec(text);
+    if (match) return { year: Number(match[1]), frequency: 'M', index: Number(match[2]) };
+
+    match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (match) return { year: Number(match[1]), frequency: 'D', index: Number(match[2]) * 100 + Number(match[3]), month: Number(match[2]), day: Number(match[3]) };
+
+    return null;
+}
+
+function comparePeriods(a, b) {
+    const pa = parsePeriod(a);
+    const pb = parsePeriod(b);
+    if (!pa || !pb) return String(a).localeCompare(String(b));
+    return pa.year - pb.year || pa.index - pb.index;
+}
+
+function detectFrequency(periods) {
+    const parsed = periods.map(period => parsePeriod(period)).find(Boolean);
+    return parsed ? parsed.frequency : null;
+}
+
+// 'Jan 2025 – Jun 2025' for the earliest and latest of the periods, or null if none
+function formatPeriodRange(periods) {
+    const sorted = [...new Set(periods)].sort(comparePeriods);
+    if (sorted.length === 0) return null;
+    const first = formatPeriodLabel(sorted[0]);
+    const last = formatPeriodLabel(sorted[sorted.length - 1]);
+    return first === last ? first : `${first} – ${last}`;
+}
+
+function formatPeriodLabel(period) {
+    const parsed = parsePeriod(period);
+    if (!parsed) return String(period);
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    if (parsed.frequency === 'D') return `${parsed.day} ${months[parsed.month - 1]} ${parsed.year}`;
+    if (parsed.frequency === 'M') return `${months[parsed.index - 1]} ${parsed.year}`;
+    if (parsed.frequency === 'Q') return `Q${parsed.index} ${parsed.year}`;
+    return String(parsed.year);
+}
+
+// Months ('YYYY-MM') covered by a period code, for range comparisons
+function getPeriodMonthSpan(period) {
+    const parsed = parsePeriod(period);
+    if (!parsed) return null;
+
+    const month = value => `${parsed.year}-${String(value).padStart(2, '0')}`;
+    if (parsed.frequency === 'A') return { start: month(1), end: month(12) };
+    if (parsed.frequency === 'Q') return { start: month(parsed.index * 3 - 2), end: month(parsed.index * 3) };
+    if (parsed.frequency === 'D') return { start: month(parsed.month), end: month(parsed.month) };
+    return { start: month(parsed.index), end: month(parsed.index) };
+}
+
+// range: { from, to } as 'YYYY-MM'; either bound may be left out
+function isPeriodInRange(period, range) {
+    const span = getPeriodMonthSpan(period);
+    if (!span) return true;
+    return (!range.from || span.end >= range.from) && (!range.to || span.start <= range.to);
+}
+
+// Every month code between two 'YYYY-MM' bounds, in a dataset's own format (e.g. '2025M01')
+function listMonthsInRange(from, to, format = (year, month) => `${year}-${String(month).padStart(2, '0')}`) {
+    const months = [];
+    let [year, month] = from.split('-').map(Number);
+    const [endYear, endMonth] = to.split('-').map(Number);
+
+    while (year < endYear || (year === endYear && month <= endMonth)) {
+        months.push(format(year, month));
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+    return months;
+}
+
+// Figures
+function formatCompactCurrency(amount, currency = 'EUR') {
+    const symbol = { EUR: '€', USD: '$', GBP: '£' }[currency] || `${currency} `;
+    const sign = amount < 0 ? '-' : '';
+    const absolute = Math.abs(amount);
+    if (absolute >= 1e12) return `${sign}${symbol}${(absolute / 1e12).toFixed(1)}T`;
+    if (absolute >= 1e9) return `${sign}${symbol}${(absolute / 1e9).toFixed(1)}B`;
+    if (absolute >= 1e6) return `${sign}${symbol}${(absolute / 1e6).toFixed(1)}M`;
+    if (absolute >= 1e3) return `${sign}${symbol}${(absolute / 1e3).toFixed(1)}K`;
+    return `${sign}${symbol}${absolute.toLocaleString()}`;
+}
+
+function formatChange(percent) {
+    return `${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%`;
+}
+
+function formatCompactNumber(num) {
+    if (num >= 1e9) return `${(num / 1e9).toFixed(1)}B`;
+    if (num >= 1e6) return `${(num / 1e6).toFixed(1)}M`;
+    if (num >= 1e3) return `${(num / 1e3).toFixed(1)}K`;
+    return num.toLocaleString();
+}
+
+function unitScaleToBillions(unit) {
+    if (!unit) return 1;
+    if (/million/i.test(unit)) return 1e-3;
+    if (/thousand/i.test(unit)) return 1e-6;
+    if (/billion/i.test(unit)) return 1;
+    return 1e-9;
+}
+
+// Data Processing Functions
+// Every parser returns a normalised time-series model alongside the summary
+// figures the dashboard displays:
+// { source, title, unit, frequency, series: [{ key, label, dimensions, points: [{ period, value }] }], lastUpdated }
+
+// World Bank v2 JSON: [meta, rows] with one row per indicator/country/year
+function processWorldBankData(payload) {
+    if (!Array.isArray(payload) || payload.length < 2 || !Array.isArray(payload[1])) {
+        const message = payload && payload[0] && payload[0].message ? payload[0].message[0].value : 'Unexpected response shape';
+        throw new Error(`World Bank: ${message}`);
+    }
+
+    const [meta, rows] = payload;
+    const seriesByIndicator = new Map();
+
+    rows.forEach(row => {
+        if (!row.indicator || row.value === null || row.value === undefined) return;
+
+        const key = row.indicator.id;
+        if (!seriesByIndicator.has(key)) {
+            seriesByIndicator.set(key, {
+                key,
+                label: row.indicator.value,
+                dimensions: { country: row.countryiso3code || (row.country && row.country.id) },
+                points: []
+            });
+        }
+        seriesByIndicator.get(key).points.push({ period: row.date, value: Number(row.value) });
+    });
+
+    const timeSeries = createTimeSeriesModel({
+        source: 'worldBank',
+        title: 'World Development Indicators',
+        unit: 'USD',
+        frequency: 'A',
+        series: Array.from(seriesByIndicator.values()),
+        lastUpdated: meta && meta.lastupdated ? new Date(meta.lastupdated) : new Date()
+    });
+
+    const exportsSeries = timeSeries.series.find(series => series.key === 'NE.EXP.GNFS.CD');
+    const importsSeries = timeSeries.series.find(series => series.key === 'NE.IMP.GNFS.CD');
+    if (!exportsSeries || !importsSeries) {
+        throw new Error('World Bank: exports/imports indicators missing from response');
+    }
+
+    // Use the latest year that has both flows reported
+    const importsByYear = new Map(importsSeries.points.map(point => [point.period, point.value]));
+    const years = exportsSeries.points.map(point => point.period).filter(year => importsByYear.has(year));
+    if (years.length === 0) {
+        throw new Error('World Bank: no year with both exports and imports reported');
+    }
+
+    const year = years[years.length - 1];
+    const previousYear = years[years.length - 2];
+    const exportsValue = exportsSeries.points.find(point => point.period === year).value;
+    const importsValue = importsByYear.get(year);
+    const total = exportsValue + importsValue;
+    let growth = 'n/a';
+    if (previousYear) {
+        const previousTotal = exportsSeries.points.find(point => point.period === previousYear).value + importsByYear.get(previousYear);
+        growth = formatChange((total - previousTotal) / previousTotal * 100);
+    }
+
+    return {
+        totalTrade: formatCompactCurrency(total, 'USD'),
+        exports: formatCompactCurrency(exportsValue, 'USD'),
+        imports: formatCompactCurrency(importsValue, 'USD'),
+        tradeSurplus: formatCompactCurrency(exportsValue - importsValue, 'USD'),
+        growth,
+        currency: 'USD',
+        lastUpdated: timeSeries.lastUpdated,
+        year: Number(year),
+        timeSeries
+    };
+}
+
+// OECD SDMX-JSON: handles both the 1.0 (top-level dataSets/structure) and 2.0 (data.structures) layouts
+function processOECDData(payload) {
+    const root = payload && payload.data ? payload.data : payload;
+    const structure = root && (root.structure || (root.structures && root.structures[0]));
+    const dataSet = root && root.dataSets && root.dataSets[0];
+
+    if (!structure || !dataSet || !structure.dimensions) {
+        throw new Error('OECD: response is not SDMX-JSON');
+    }
+
+    const seriesDimensions = structure.dimensions.series || [];
+    const observationDimensions = structure.dimensions.observation || [];
+    const timeDimension = observationDimensions.find(dimension => dimension.id === 'TIME_PERIOD') || observationDimensions[0];
+    const timeIndex = observationDimensions.indexOf(timeDimension);
+    // Dimensions with a single value (e.g. REF_AREA=IRL) don't help tell series apart
+    const varyingDimensions = seriesDimensions.filter(dimension => dimension.values.length > 1);
+    const unitDimension = seriesDimensions.find(dimension => dimension.id === 'UNIT_MEASURE');
+
+    const series = Object.entries(dataSet.series || {}).map(([seriesKey, seriesData]) => {
+        const keyIndexes = seriesKey.split(':').map(Number);
+        const dimensions = {};
+        seriesDimensions.forEach((dimension, position) => {
+            dimensions[dimension.id] = dimension.values[keyIndexes[position]].id;
+        });
+
+        const labelParts = (varyingDimensions.length ? varyingDimensions : seriesDimensions)
+            .map(dimension => dimension.values[keyIndexes[seriesDimensions.indexOf(dimension)]].name);
+
+        const points = Object.entries(seriesData.observations || {})
+            .map(([observationKey, observation]) => ({
+                period: timeDimension.values[Number(observationKey.split(':')[timeIndex])].id,
+                value: observation[0] === null ? null : Number(observation[0])
+            }))
+            .filter(point => point.value !== null && !Number.isNaN(point.value));
+
+        return { key: seriesKey, label: labelParts.join(' – '), dimensions, points };
+    });
+
+    const prepared = payload.meta && payload.meta.prepared ? payload.meta.prepared : (payload.header && payload.header.prepared);
+    const timeSeries = createTimeSeriesModel({
+        source: 'oecd',
+        title: structure.name,
+        unit: unitDimension && unitDimension.values.length === 1 ? unitDimension.values[0].name : null,
+        frequency: detectFrequency(timeDimension.values.map(value => value.id)),
+        series,
+        lastUpdated: prepared ? new Date(prepared) : new Date()
+    });
+
+    return {
+        indicators: timeSeries.series.map(item => summarizeSeries(item)),
+        lastUpdated: timeSeries.lastUpdated,
+        timeSeries
+    };
+}
+
+// CSO PxStat JSON-stat 2.0 dataset
+function processCSOData(payload, query = null) {
+    const timeSeries = parseJsonStat(payload, 'cso');
+    if (query) {
+        // Also applied when the endpoint ignored the period filter (e.g. a recorded fixture)
+        timeSeries.series.forEach(series => {
+            series.points = series.points.filter(point => isPeriodInRange(point.period, query));
+        });
+    }
+    const scale = unitScaleToBillions(timeSeries.unit);
+
+    const isTotal = series => Object.values(series.dimensionLabels)
+        .some(label => /^(all|total)\b/i.test(label));
+    const flowSeries = pattern => timeSeries.series.filter(series =>
+        Object.values(series.dimensionLabels).some(label => pattern.test(label)));
+
+    const exportsTotal = flowSeries(/^exports?$/i).find(isTotal);
+    const importsTotal = flowSeries(/^imports?$/i).find(isTotal);
+    if (!exportsTotal || !importsTotal) {
+        throw new Error('CSO: exports/imports totals missing from dataset');
+    }
+
+    const toMonthly = series => series.points.map(point => ({
+        period: point.period,
+        month: formatPeriodLabel(point.period).split(' ')[0],
+        value: point.value * scale,
+        year: Number(point.period.slice(0, 4))
+    }));
+
+    // Commodity breakdown of exports, summed over the periods returned
+    const commodities = flowSeries(/^exports?$/i)
+        .filter(series => !isTotal(series))
+        .map(series => ({
+            name: series.label.replace(/^exports?\s*–\s*/i, '').replace(/\s*\([^)]*\)\s*$/, ''),
+            value: series.points.reduce((sum, point) => sum + point.value, 0) * scale
+        }));
+    const commodityTotal = commodities.reduce((sum, commodity) => sum + commodity.value, 0);
+
+    return {
+        monthlyExports: toMonthly(exportsTotal),
+        monthlyImports: toMonthly(importsTotal),
+        topCommodities: commodities
+            .map(commodity => ({
+                name: commodity.name,
+                value: Number(commodity.value.toFixed(1)),
+                share: commodityTotal ? Math.round(commodity.value / commodityTotal * 100) : 0
+            }))
+            .sort((a, b) => b.value - a.value),
+        lastUpdated: timeSeries.lastUpdated,
+        timeSeries
+    };
+}
+
+// Eurostat dissemination API: JSON-stat 2.0 with sparse values, trade value in million euro
+function processEurostatData(payload) {
+    const timeSeries = parseJsonStat(payload, 'eurostat');
+
+    const latestValue = (partnerPattern, flow) => {
+        const series = timeSeries.series.find(item =>
+            partnerPattern.test(item.dimensions.partner || '') && item.dimensions.stk_flow === flow);
+        return series && series.points.length ? series.points[series.points.length - 1] : null;
+    };
+
+    const intra = latestValue(/INTRA/, 'EXP');
+    const extra = latestValue(/EXTRA/, 'EXP');
+    if (!intra || !extra) {
+        throw new Error('Eurostat: intra/extra-EU export values missing from dataset');
+    }
+
+    return {
+        intraExports: formatCompactCurrency(intra.value * 1e6),
+        extraExports: formatCompactCurrency(extra.value * 1e6),
+        intraExportShare: intra.value / (intra.value + extra.value) * 100,
+        year: Number(intra.period),
+        lastUpdated: timeSeries.lastUpdated,
+        timeSeries
+    };
+}
+
+// JSON-stat 2.0 → time-series model. Values are stored row-major with the last dimension varying fastest.
+function parseJsonStat(payload, source) {
+    if (!payload || payload.class !== 'dataset' || !Array.isArray(payload.id) || !payload.dimension) {
+        throw new Error(`${source}: response is not a JSON-stat 2.0 dataset`);
+    }
+
+    const ids = payload.id;
+    const sizes = payload.size;
+    const roles = payload.role || {};
+    const timeId = (roles.time && roles.time[0]) || ids.find(id => /time|TLIST/i.test(id));
+    if (!timeId) {
+        throw new Error(`${source}: dataset has no time dimension`);
+    }
+
+    const dimensions = ids.map(id => {
+        const category = payload.dimension[id].category || {};
+        const index = category.index;
+        let codes = Object.keys(category.label || {});
+        if (Array.isArray(index)) {
+            codes = index;
+        } else if (index) {
+            codes = Object.keys(index).sort((a, b) => index[a] - index[b]);
+        }
+        return {
+            id,
+            label: payload.dimension[id].label,
+            codes,
+            labels: category.label || {},
+            units: category.unit || null
+        };
+    });
+
+    const strides = sizes.map((size, position) =>
+        sizes.slice(position + 1).reduce((product, next) => product * next, 1));
+    // Sparse datasets (e.g. Eurostat) send value as an object keyed by offset
+    const valueAt = offset => {
+        const value = payload.value[offset];
+        return value === null || value === undefined ? null : Number(value);
+    };
+
+    const timePosition = ids.indexOf(timeId);
+    const otherPositions = ids.map((id, position) => position).filter(position => position !== timePosition);
+    const combinations = otherPositions.reduce(
+        (acc, position) => acc.flatMap(combo => dimensions[position].codes.map((code, i) => ({ ...combo, [position]: i }))),
+        [{}]
+    );
+
+    let unit = null;
+    const series = combinations.map(combo => {
+        const dimensionCodes = {};
+        const dimensionLabels = {};
+        otherPositions.forEach(position => {
+            const dimension = dimensions[position];
+            const code = dimension.codes[combo[position]];
+            dimensionCodes[dimension.id] = code;
+            dimensionLabels[dimension.id] = dimension.labels[code] || code;
+            if (!unit && dimension.units && dimension.units[code]) unit = dimension.units[code].label;
+        });
+
+        const points = dimensions[timePosition].codes.map((period, timeOffset) => {
+            const offset = otherPositions.reduce((sum, position) => sum + combo[position] * strides[position], 0) +
+                timeOffset * strides[timePosition];
+            return { period, value: valueAt(offset) };
+        }).filter(point => point.value !== null && !Number.isNaN(point.value));
+
+        return {
+            key: otherPositions.map(position => dimensionCodes[dimensions[position].id]).join('|'),
+            label: Object.values(dimensionLabels).join(' – '),
+            dimensions: dimensionCodes,
+            dimensionLabels,
+            points
+        };
+    });
+
+    return createTimeSeriesModel({
+        source,
+        title: payload.label,
+        unit: unit || (payload.extension && payload.extension.unit) || null,
+        frequency: detectFrequency(dimensions[timePosition].codes),
+        series,
+        lastUpdated: payload.updated ? new Date(payload.updated) : new Date()
+    });
+}
+
+function createTimeSeriesModel({ source, title, unit, frequency, series, lastUpdated }) {
+    return {
+        source,
+        title: title || source,
+        unit: unit || null,
+        frequency,
+        series: series.map(item => ({
+            ...item,
+            points: [...item.points].sort((a, b) => comparePeriods(a.period, b.period))
+        })),
+        lastUpdated
+    };
+}
+
+function summarizeSeries(series) {
+    const latest = series.points[series.points.length - 1] || null;
+    const previous = series.points[series.points.length - 2] || null;
+    return {
+        key: series.key,
+        label: series.label,
+        latest,
+        previous,
+        change: latest && previous && previous.value ? (latest.value - previous.value) / previous.value * 100 : null
+    };
+}
+
+// Tables
+// CSV text → rows of cells; the delimiter (',' or ';') is taken from the header line
+function parseCSV(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+function tableFromMatrix(matrix) {
+    const nonEmpty = matrix.filter(row => row.some(cell => String(cell).trim() !== ''));
+    if (nonEmpty.length === 0) {
+        throw new Error('The uploaded file is empty.');
+    }
+
+    const headers = nonEmpty[0].map(header => String(header).trim());
+    return { headers, rows: nonEmpty.slice(1) };
+}
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function parseNumericValue(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    const cleaned = String(value).replace(/[€$£\s]/g, '').replace(/,(?=\d{3}(\D|$))/g, '');
+    const number = Number(cleaned);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Dublin Port statistics columns, matched by normalised header. Cargo modes are tonnage;
+// a missing total is summed from the modes
+const PORT_STATISTICS_COLUMNS = [
+    { field: 'period', aliases: ['period', 'quarter', 'year', 'date'] },
+    { field: 'totalThroughput', aliases: ['total tonnes', 'total tonnage', 'total throughput', 'throughput', 'tonnes'] },
+    { field: 'containerTraffic', aliases: ['teu', 'teus', 'container teu', 'lolo teu'] },
+    { field: 'Ro-Ro', mode: true, aliases: ['ro-ro tonnes', 'roro tonnes', 'ro-ro', 'roro'] },
+    { field: 'Lo-Lo', mode: true, aliases: ['lo-lo tonnes', 'lolo tonnes', 'lo-lo', 'lolo'] },
+    { field: 'Bulk Liquid', mode: true, aliases: ['bulk liquid tonnes', 'bulk liquid'] },
+    { field: 'Bulk Solid', mode: true, aliases: ['bulk solid tonnes', 'bulk solid', 'dry bulk'] },
+    { field: 'Break Bulk', mode: true, aliases: ['break bulk tonnes', 'break bulk'] }
+];
+
+// Dublin Port throughput spreadsheet: one row per quarter or year, see PORT_STATISTICS_COLUMNS.
+// Rows of the finest frequency present are used, so annual totals don't mix with quarters
+function processPortStatistics(table) {
+    const normalized = table.headers.map(normalizeHeader);
+    const columns = PORT_STATISTICS_COLUMNS
+        .map(column => ({ ...column, index: normalized.findIndex(header => column.aliases.map(normalizeHeader).includes(header)) }))
+        .filter(column => column.index !== -1);
+    const modes = columns.filter(column => column.mode);
+    const periodColumn = columns.find(column => column.field === 'period');
+
+    if (!periodColumn || modes.length === 0) {
+        throw new Error('Dublin Port: expected a period column and at least one cargo mode column');
+    }
+
+    const valueOf = (row, field) => {
+        const column = columns.find(c => c.field === field);
+        return column ? parseNumericValue(row[column.index]) : null;
+    };
+
+    const rows = table.rows.map(row => {
+        const period = normalizePortPeriod(row[periodColumn.index]);
+        if (!period) return null;
+
+        const breakdown = {};
+        modes.forEach(mode => {
+            breakdown[mode.field] = parseNumericValue(row[mode.index]) || 0;
+        });
+        const modeTotal = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+
+        return {
+            period,
+            totalThroughput: valueOf(row, 'totalThroughput') ?? modeTotal,
+            containerTraffic: valueOf(row, 'containerTraffic'),
+            breakdown
+        };
+    }).filter(Boolean);
+
+    const frequency = rows.some(row => parsePeriod(row.period).frequency === 'Q') ? 'Q' : 'A';
+    const periods = rows
+        .filter(row => parsePeriod(row.period).frequency === frequency)
+        .sort((a, b) => comparePeriods(a.period, b.period));
+
+    if (periods.length === 0) {
+        throw new Error('Dublin Port: no rows with a recognisable quarter or year');
+    }
+
+    const latest = periods[periods.length - 1];
+    const latestModeTotal = Object.values(latest.breakdown).reduce((sum, value) => sum + value, 0);
+    const cargoBreakdown = {};
+    Object.entries(latest.breakdown).forEach(([mode, tonnes]) => {
+        cargoBreakdown[mode] = latestModeTotal ? Number((tonnes / latestModeTotal * 100).toFixed(1)) : 0;
+    });
+
+    return {
+        period: latest.period,
+        periodLabel: formatPeriodLabel(latest.period),
+        frequency,
+        totalThroughput: latest.totalThroughput,
+        containerTraffic: latest.containerTraffic,
+        cargoBreakdown,
+        periods,
+        lastUpdated: new Date(),
+        source: 'Dublin Port'
+    };
+}
+
+// '2024', '2024-Q1', '2024 Q1', 'Q1 2024' → '2024' / '2024-Q1'
+function normalizePortPeriod(value) {
+    const text = String(value).trim();
+    let match = /^(\d{4})$/.exec(text);
+    if (match) return match[1];
+
+    match = /^(\d{4})[\s-]*Q([1-4])$/i.exec(text) || /^Q([1-4])[\s-]*(\d{4})$/i.exec(text);
+    if (!match) return null;
+    return /^\d{4}$/.test(match[1]) ? `${match[1]}-Q${match[2]}` : `${match[2]}-Q${match[1]}`;
+}
+
+// Public Sources
+// What the browser's data source adapters and the server's report fetches have in common,
+// keyed by DATA_SOURCE_ENDPOINTS id:
+//   name, description  how the source is cited
+//   buildUrl           optional (config, range) => URL carrying a { from, to } date range in
+//                      the source's own time parameters; otherwise the configured URL as-is
+//   parse              (payload, range) => the figures shown and reported. Dublin Port's
+//                      payload is a { headers, rows } table read from its spreadsheet
+//   referencePeriod    (data) => label of the period the figures describe
+const PUBLIC_DATA_SOURCES = {
+    worldBank: {
+        name: 'World Bank Indicators API',
+        description: 'Exports and imports of goods and services',
+        buildUrl: (config, range) => resolveSourceUrl(config)
+            .replace(/([?&]date=)[^&]*/, `$1${range.from.slice(0, 4)}:${range.to.slice(0, 4)}`),
+        parse: payload => processWorldBankData(payload),
+        referencePeriod: tradeData => tradeData.year ? String(tradeData.year) : null
+    },
+    oecd: {
+        name: 'OECD Statistics API',
+        description: 'International trade in goods',
+        buildUrl: (config, range) => {
+            const url = resolveSourceUrl(config).replace(/[?&](startPeriod|endPeriod)=[^&]*/g, '');
+            const separator = url.includes('?') ? '&' : '?';
+            return `${url}${separator}startPeriod=${range.from.slice(0, 4)}&endPeriod=${range.to.slice(0, 4)}`;
+        },
+        parse: payload => processOECDData(payload),
+        referencePeriod: oecdData => oecdData.timeSeries
+            ? formatPeriodRange(oecdData.timeSeries.series.flatMap(series => series.points.map(point => point.period)))
+            : null
+    },
+    cso: {
+        name: 'CSO Ireland API',
+        description: 'Monthly merchandise trade',
+        buildUrl: (config, range) => {
+            if (config.url || !config.queryUrl) return resolveSourceUrl(config);
+
+            const periods = listMonthsInRange(range.from, range.to, (year, month) => `${year}M${String(month).padStart(2, '0')}`);
+            const request = {
+                jsonrpc: '2.0',
+                method: 'PxStat.Data.Cube_API.ReadDataset',
+                params: {
+                    class: 'query',
+                    id: [config.timeDimension],
+                    dimension: { [config.timeDimension]: { category: { index: periods } } },
+                    extension: {
+                        language: { code: 'en' },
+                        format: { type: 'JSON-stat', version: '2.0' },
+                        matrix: config.matrix
+                    },
+                    version: '2.0'
+                }
+            };
+            return `${config.queryUrl}?data=${encodeURIComponent(JSON.stringify(request))}`;
+        },
+        parse: (payload, range) => processCSOData(payload.result || payload, range),
+        referencePeriod: csoData => formatPeriodRange(csoData.monthlyExports.map(point => point.period))
+    },
+    eurostat: {
+        name: 'Eurostat API',
+        description: 'Intra- and extra-EU trade',
+        parse: payload => processEurostatData(payload),
+        referencePeriod: euData => euData.year ? String(euData.year) : null
+    },
+    dublinPort: {
+        name: 'Dublin Port Statistics',
+        description: 'Quarterly/annual throughput statistics (CSV/XLSX)',
+        parse: table => processPortStatistics(table),
+        referencePeriod: portData => portData.period ? portData.periodLabel : null
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DATA_SOURCE_ENDPOINTS,
+        PUBLIC_DATA_SOURCES,
+        resolveSourceConfig,
+        resolveSourceUrl,
+        getDefaultDateRange,
+        parsePeriod,
+        comparePeriods,
+        formatPeriodRange,
+        formatPeriodLabel,
+        isPeriodInRange,
+        listMonthsInRange,
+        formatCompactCurrency,
+        formatChange,
+        formatCompactNumber,
+        summarizeSeries,
+        parseCSV,
+        tableFromMatrix,
+        processWorldBankData,
+        processOECDData,
+        processCSOData,
+        processEurostatData,
+        processPortStatistics
+    };
+}
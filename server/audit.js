@@ -0,0 +1,105 @@
+// Audit Log
+// Security and data events are appended, one JSON object per line, to a file next to the
+// database. Entries are never rewritten: deleting an account leaves its history in place.
+const fs = require('fs');
+const path = require('path');
+const { randomId } = require('./auth');
+const { getClientIp } = require('./rate-limit');
+
+const AUDIT_EVENT_TYPES = {
+    'auth.signup': 'Signed up',
+    'auth.login': 'Signed in',
+    'auth.login_failed': 'Failed sign-in',
+    'auth.logout': 'Signed out',
+    'auth.email_verified': 'Verified email address',
+    'auth.password_reset': 'Reset password by email',
+    'account.password_changed': 'Changed password',
+    'account.email_changed': 'Changed email address',
+    'account.disabled': 'Account disabled',
+    'account.enabled': 'Account enabled',
+    'account.deleted': 'Account deleted',
+    'plan.changed': 'Plan changed',
+    'upload.recorded': 'Uploaded data',
+    'report.generated': 'Generated report',
+    'report.scheduled': 'Scheduled report',
+    'report.delivered': 'Sent scheduled report',
+    'report.delivery_failed': 'Scheduled report failed',
+    'source.offline': 'Data source offline',
+    'source.recovered': 'Data source recovered'
+};
+
+// Shown to users as their own sign-in activity (verification links also sign in)
+const SIGN_IN_EVENT_TYPES = [
+    'auth.login', 'auth.login_failed', 'auth.logout', 'auth.email_verified',
+    'auth.password_reset', 'account.password_changed', 'account.email_changed'
+];
+
+class AuditLog {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    // user is who the event is about; actor is who caused it, when that's someone else
+    // (an admin). A failed write is logged rather than failing the request it describes.
+    record(type, { user = null, actor = null, req = null, details = {} } = {}) {
+        if (!AUDIT_EVENT_TYPES[type]) throw new Error(`Unknown audit event type "${type}"`);
+
+        const entry = {
+            id: randomId('evt_'),
+            at: new Date().toISOString(),
+            type,
+            userId: user ? user.id : null,
+            email: user ? user.email : null,
+            actorId: actor && (!user || actor.id !== user.id) ? actor.id : null,
+            ip: req ? getClientIp(req) : null,
+            userAgent: req ? String(req.headers['user-agent'] || '').slice(0, 300) || null : null,
+            details
+        };
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+        } catch (error) {
+            console.error(`❌ Could not write audit event ${type}:`, error);
+        }
+        return entry;
+    }
+
+    readAll() {
+        let contents;
+        try {
+            contents = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        // A line cut short by a crash is skipped rather than hiding the rest of the log
+        return contents.split('\n').filter(Boolean).flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch (error) {
+                return [];
+            }
+        });
+    }
+
+    // Newest first. from/to are ISO dates (to is inclusive of the whole day); search
+    // matches the email, IP or user id.
+    query({ types = null, userId = null, search = '', from = null, to = null, limit = 200 } = {}) {
+        const term = String(search || '').trim().toLowerCase();
+        const toEnd = to ? new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000).toISOString() : null;
+
+        return this.readAll()
+            .filter(entry =>
+                (!types || types.includes(entry.type)) &&
+                (!userId || entry.userId === userId) &&
+                (!from || entry.at >= new Date(from).toISOString()) &&
+                (!toEnd || entry.at < toEnd) &&
+                (!term || [entry.email, entry.ip, entry.userId, entry.actorId].some(value => value && value.toLowerCase().includes(term))))
+            .reverse()
+            .slice(0, limit);
+    }
+}
+
+module.exports = { AUDIT_EVENT_TYPES, SIGN_IN_EVENT_TYPES, AuditLog };
@@ -0,0 +1,63 @@
+// Password Hashing and Session Tokens
+// Passwords are stored as scrypt hashes with a per-user random salt:
+//   scrypt$N$r$p$<salt base64>$<hash base64>
+// Tokens are HMAC-SHA256 signed and carry their own purpose and expiry:
+//   <base64url JSON { purpose, sub, exp, ... }>.<base64url signature>
+// Session tokens also carry a sid that must exist in the session store, so logout
+// revokes them immediately.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password, { N, r, p, keyLength }) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, keyLength, { N, r, p, maxmem: 128 * N * r * 2 });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    const [algorithm, N, r, p, salt, expected] = String(stored).split('$');
+    if (algorithm !== 'scrypt' || !expected) return false;
+
+    const expectedHash = Buffer.from(expected, 'base64');
+    const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedHash.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p),
+        maxmem: 128 * Number(N) * Number(r) * 2
+    });
+    return crypto.timingSafeEqual(hash, expectedHash);
+}
+
+function sign(value, secret) {
+    return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+function signToken(payload, secret) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${sign(body, secret)}`;
+}
+
+// Returns the payload, or null for a malformed, forged or expired token
+function verifyToken(token, secret) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(sign(body, secret));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        return payload.exp && payload.exp > Date.now() ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function randomId(prefix = '') {
+    return prefix + crypto.randomBytes(16).toString('hex');
+}
+
+module.exports = { hashPassword, verifyPassword, signToken, verifyToken, randomId };
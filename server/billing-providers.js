@@ -0,0 +1,283 @@
+// Billing Providers
+// BillingService talks to a payment provider through this interface:
+//   createCheckoutSession({ user, tier, successUrl, cancelUrl }) → { id, url }
+//   cancelSubscription(subscriptionId)
+//   parseWebhook(rawBody, signatureHeader) → verified Stripe-format event
+// StripeProvider calls the Stripe API; MockBillingProvider runs a Stripe-compatible
+// checkout locally and delivers signed webhooks the same way Stripe does, so the
+// whole flow (including failed renewals) can be exercised without an account.
+const https = require('https');
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+
+// Stripe-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+function signWebhookPayload(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+function verifyWebhookSignature(rawBody, header, secret, toleranceSeconds = 300) {
+    const parts = {};
+    String(header || '').split(',').forEach(part => {
+        const [key, value] = part.split('=');
+        (parts[key] = parts[key] || []).push(value);
+    });
+
+    const timestamp = Number(parts.t && parts.t[0]);
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+        throw new HttpError(400, 'Webhook timestamp is missing or outside the tolerance window', 'INVALID_SIGNATURE');
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex'));
+    const valid = (parts.v1 || []).some(signature => {
+        const actual = Buffer.from(signature);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    });
+    if (!valid) throw new HttpError(400, 'Webhook signature does not match', 'INVALID_SIGNATURE');
+
+    return JSON.parse(rawBody);
+}
+
+// Nested objects become Stripe's bracketed form fields: metadata[tier]=lite
+function toFormBody(params, prefix = '') {
+    return Object.entries(params).flatMap(([key, value]) => {
+        const name = prefix ? `${prefix}[${key}]` : key;
+        if (value && typeof value === 'object') return toFormBody(value, name);
+        return value === undefined ? [] : [`${encodeURIComponent(name)}=${encodeURIComponent(value)}`];
+    }).join('&');
+}
+
+class StripeProvider {
+    constructor({ secretKey, webhookSecret, prices }) {
+        if (!secretKey || !webhookSecret) {
+            throw new Error('Stripe billing needs STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET');
+        }
+        this.secretKey = secretKey;
+        this.webhookSecret = webhookSecret;
+        this.prices = prices;
+    }
+
+    request(method, path, params = null) {
+        const body = params ? toFormBody(params) : '';
+
+        return new Promise((resolve, reject) => {
+            const req = https.request({
+                method,
+                host: 'api.stripe.com',
+                path: `/v1${path}`,
+                headers: {
+                    'Authorization': `Bearer ${this.secretKey}`,
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Content-Length': Buffer.byteLength(body)
+                },
+                timeout: 20000
+            }, res => {
+                let text = '';
+                res.on('data', chunk => {
+                    text += chunk;
+                });
+                res.on('end', () => {
+                    // Gateways in front of Stripe can answer with an HTML error page
+                    let payload;
+                    try {
+                        payload = JSON.parse(text || '{}');
+                    } catch (error) {
+                        reject(new HttpError(502, 'The payment provider sent an unexpected response. Please try again.', 'BILLING_PROVIDER_ERROR'));
+                        return;
+                    }
+                    if (res.statusCode >= 400) {
+                        const error = new Error(`Stripe ${method} ${path} failed: ${payload.error ? payload.error.message : res.statusCode}`);
+                        error.status = res.statusCode;
+                        reject(error);
+                        return;
+                    }
+                    resolve(payload);
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error('Stripe request timed out')));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    async createCheckoutSession({ user, tier, successUrl, cancelUrl }) {
+        if (!this.prices[tier]) throw new Error(`No Stripe price configured for the ${tier} plan`);
+
+        const session = await this.request('POST', '/checkout/sessions', {
+            mode: 'subscription',
+            line_items: { 0: { price: this.prices[tier], quantity: 1 } },
+            success_url: successUrl,
+            cancel_url: cancelUrl,
+            client_reference_id: user.id,
+            customer_email: user.email,
+            metadata: { userId: user.id, tier },
+            subscription_data: { metadata: { userId: user.id, tier } }
+        });
+        return { id: session.id, url: session.url };
+    }
+
+    async cancelSubscription(subscriptionId) {
+        await this.request('DELETE', `/subscriptions/${encodeURIComponent(subscriptionId)}`);
+    }
+
+    parseWebhook(rawBody, signatureHeader) {
+        return verifyWebhookSignature(rawBody, signatureHeader, this.webhookSecret);
+    }
+}
+
+// In-memory stand-in for Stripe. deliver(rawBody, signature) is wired to the same
+// handler as the webhook endpoint, so events go through signature verification exactly
+// like real ones.
+class MockBillingProvider {
+    constructor({ webhookSecret, appUrl, prices }) {
+        this.webhookSecret = webhookSecret;
+        this.appUrl = appUrl;
+        this.prices = prices;
+        this.sessions = new Map();
+        this.subscriptions = new Map();
+        this.invoiceCount = 0;
+        this.deliver = null;
+    }
+
+    id(prefix) {
+        return `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+    }
+
+    async createCheckoutSession({ user, tier, successUrl, cancelUrl }) {
+        const session = { id: this.id('cs'), user: { id: user.id, email: user.email }, tier, successUrl, cancelUrl, status: 'open' };
+        this.sessions.set(session.id, session);
+        return { id: session.id, url: `${this.appUrl}/api/billing/mock/checkout/${session.id}` };
+    }
+
+    async cancelSubscription(subscriptionId) {
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (subscription && subscription.status === 'canceled') return;
+
+        // Mock state is in memory, so subscriptions from before a restart are unknown
+        // here; they are still canceled, like Stripe would
+        if (!subscription) {
+            await this.emit('customer.subscription.deleted', { id: subscriptionId, object: 'subscription', status: 'canceled' });
+            return;
+        }
+        subscription.status = 'canceled';
+        await this.emit('customer.subscription.deleted', this.subscriptionObject(subscription));
+    }
+
+    parseWebhook(rawBody, signatureHeader) {
+        return verifyWebhookSignature(rawBody, signatureHeader, this.webhookSecret);
+    }
+
+    getSession(sessionId) {
+        return this.sessions.get(sessionId);
+    }
+
+    // Simulates the customer paying on the checkout page. A declined card keeps the
+    // session open so the customer can retry, as on Stripe's page.
+    async completeCheckout(sessionId, outcome) {
+        const session = this.sessions.get(sessionId);
+        if (!session || session.status !== 'open') throw new HttpError(404, 'Checkout session not found or already completed', 'NOT_FOUND');
+
+        if (outcome !== 'paid') {
+            throw new HttpError(402, 'Your card was declined. Try again or use a different card.', 'CARD_DECLINED');
+        }
+
+        session.status = 'complete';
+        const now = Math.floor(Date.now() / 1000);
+        const subscription = {
+            id: this.id('sub'),
+            customerEmail: session.user.email,
+            metadata: { userId: session.user.id, tier: session.tier },
+            status: 'active',
+            currentPeriodStart: now,
+            currentPeriodEnd: now + 30 * 24 * 60 * 60
+        };
+        this.subscriptions.set(subscription.id, subscription);
+
+        await this.emit('checkout.session.completed', {
+            id: session.id,
+            object: 'checkout.session',
+            mode: 'subscription',
+            client_reference_id: session.user.id,
+            customer_email: session.user.email,
+            subscription: subscription.id,
+            metadata: subscription.metadata
+        });
+        await this.emit('invoice.paid', this.invoiceObject(subscription, 'paid'));
+        return { redirect: session.successUrl };
+    }
+
+    // Simulates the monthly renewal charge: 'paid', 'failed' (card declined), or
+    // 'canceled' (retries exhausted, so the subscription ends)
+    async renewSubscription(subscriptionId, outcome) {
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (!subscription || subscription.status === 'canceled') throw new HttpError(404, 'Subscription not found or canceled', 'NOT_FOUND');
+
+        if (outcome === 'canceled') {
+            return this.cancelSubscription(subscriptionId);
+        }
+
+        if (outcome === 'failed') {
+            subscription.status = 'past_due';
+            await this.emit('invoice.payment_failed', this.invoiceObject(subscription, 'open'));
+            await this.emit('customer.subscription.updated', this.subscriptionObject(subscription));
+            return;
+        }
+
+        subscription.status = 'active';
+        subscription.currentPeriodStart = subscription.currentPeriodEnd;
+        subscription.currentPeriodEnd += 30 * 24 * 60 * 60;
+        await this.emit('invoice.paid', this.invoiceObject(subscription, 'paid'));
+        await this.emit('customer.subscription.updated', this.subscriptionObject(subscription));
+    }
+
+    subscriptionObject(subscription) {
+        return {
+            id: subscription.id,
+            object: 'subscription',
+            status: subscription.status,
+            current_period_start: subscription.currentPeriodStart,
+            current_period_end: subscription.currentPeriodEnd,
+            metadata: subscription.metadata
+        };
+    }
+
+    invoiceObject(subscription, status) {
+        this.invoiceCount++;
+        const amount = this.prices[subscription.metadata.tier] * 100;
+        return {
+            id: this.id('in'),
+            object: 'invoice',
+            number: `MOCK-${String(this.invoiceCount).padStart(4, '0')}`,
+            status,
+            subscription: subscription.id,
+            subscription_details: { metadata: subscription.metadata },
+            customer_email: subscription.customerEmail,
+            currency: 'eur',
+            amount_due: amount,
+            amount_paid: status === 'paid' ? amount : 0,
+            period_start: subscription.currentPeriodStart,
+            period_end: subscription.currentPeriodEnd,
+            created: Math.floor(Date.now() / 1000)
+        };
+    }
+
+    async emit(type, object) {
+        const event = { id: this.id('evt'), object: 'event', type, created: Math.floor(Date.now() / 1000), data: { object } };
+        const rawBody = JSON.stringify(event);
+        await this.deliver(rawBody, signWebhookPayload(rawBody, this.webhookSecret));
+    }
+}
+
+// prices: plan prices in euro, which the mock charges; Stripe uses its own Price objects
+function createBillingProvider({ provider, stripe }, { appUrl, prices, mockWebhookSecret }) {
+    if (provider === 'stripe') return new StripeProvider(stripe);
+    return new MockBillingProvider({ webhookSecret: mockWebhookSecret, appUrl, prices });
+}
+
+module.exports = {
+    createBillingProvider,
+    StripeProvider,
+    MockBillingProvider,
+    signWebhookPayload,
+    verifyWebhookSignature
+};
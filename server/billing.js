@@ -0,0 +1,263 @@
+// Billing
+// Paid plans are Stripe-style subscriptions. Checkout happens on the provider's page and
+// the account only changes when the provider's signed webhooks arrive: a completed
+// checkout activates the plan, paid invoices renew it, a failed renewal marks it past due
+// (access continues while the provider retries), and a canceled or unpaid subscription
+// downgrades the account to Free.
+const { HttpError } = require('./http');
+const { randomId } = require('./auth');
+const { SERVER_CONFIG } = require('./config');
+const { PLAN_ENTITLEMENTS } = require('./entitlements');
+const { findUserById, updateUser } = require('./users');
+
+const PAID_TIERS = Object.keys(PLAN_ENTITLEMENTS).filter(tier => PLAN_ENTITLEMENTS[tier].price > 0);
+// Subscription statuses that still grant the plan; past_due covers the retry period
+const LIVE_STATUSES = ['active', 'past_due'];
+const ENDED_STATUSES = ['canceled', 'unpaid', 'incomplete_expired'];
+
+function toIso(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+function publicSubscription(subscription) {
+    if (!subscription) return null;
+    const { id, tier, status, currentPeriodEnd, createdAt, canceledAt } = subscription;
+    return { id, tier, status, currentPeriodEnd, createdAt, canceledAt: canceledAt || null };
+}
+
+function publicInvoice(invoice) {
+    const { id, number, tier, status, amount, currency, periodStart, periodEnd, createdAt } = invoice;
+    return { id, number, tier, planName: PLAN_ENTITLEMENTS[tier] ? PLAN_ENTITLEMENTS[tier].name : tier, status, amount, currency, periodStart, periodEnd, createdAt };
+}
+
+class BillingService {
+    constructor({ store, mail, audit }, provider) {
+        this.store = store;
+        this.mail = mail;
+        this.audit = audit;
+        this.provider = provider;
+        if (provider.deliver === null) {
+            provider.deliver = (rawBody, signature) => this.handleWebhook(rawBody, signature);
+        }
+    }
+
+    getLiveSubscriptions(userId) {
+        return this.store.collection('subscriptions')
+            .filter(s => s.userId === userId && LIVE_STATUSES.includes(s.status));
+    }
+
+    getLiveSubscription(userId) {
+        return this.getLiveSubscriptions(userId)[0] || null;
+    }
+
+    getBillingSummary(user) {
+        return {
+            subscription: publicSubscription(this.getLiveSubscription(user.id)),
+            invoices: this.store.collection('invoices')
+                .filter(invoice => invoice.userId === user.id)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .map(publicInvoice)
+        };
+    }
+
+    async startCheckout(user, tier) {
+        if (!PAID_TIERS.includes(tier)) {
+            throw new HttpError(400, 'Choose a paid plan to check out.', 'INVALID_PLAN');
+        }
+        const current = this.getLiveSubscription(user.id);
+        if (current && current.tier === tier) {
+            throw new HttpError(409, `You're already subscribed to the ${PLAN_ENTITLEMENTS[tier].name} plan.`, 'ALREADY_SUBSCRIBED');
+        }
+
+        // The previous plan (if any) is only canceled once the new checkout completes
+        return this.provider.createCheckoutSession({
+            user,
+            tier,
+            successUrl: `${SERVER_CONFIG.appUrl}/?checkout=success`,
+            cancelUrl: `${SERVER_CONFIG.appUrl}/?checkout=canceled`
+        });
+    }
+
+    // Cancels immediately; the downgrade itself arrives as customer.subscription.deleted
+    async cancel(user) {
+        const subscription = this.getLiveSubscription(user.id);
+        if (!subscription) {
+            throw new HttpError(404, "You don't have an active paid subscription.", 'NO_SUBSCRIPTION');
+        }
+        await this.provider.cancelSubscription(subscription.providerSubscriptionId);
+    }
+
+    async handleWebhook(rawBody, signature) {
+        const event = this.provider.parseWebhook(rawBody, signature);
+        if (this.store.collection('billingEvents').some(e => e.id === event.id)) return;
+
+        const object = event.data.object;
+        switch (event.type) {
+            case 'checkout.session.completed':
+                await this.activateSubscription(object);
+                break;
+            case 'invoice.paid':
+                this.recordInvoice(object, 'paid');
+                this.updateSubscriptionStatus(object.subscription, { status: 'active', currentPeriodEnd: toIso(object.period_end) });
+                break;
+            case 'invoice.payment_failed':
+                this.recordInvoice(object, 'failed');
+                await this.handleFailedPayment(object);
+                break;
+            case 'customer.subscription.updated':
+                if (ENDED_STATUSES.includes(object.status)) {
+                    await this.endSubscription(object.id, object.status);
+                } else {
+                    this.updateSubscriptionStatus(object.id, { status: object.status, currentPeriodEnd: toIso(object.current_period_end) });
+                }
+                break;
+            case 'customer.subscription.deleted':
+                await this.endSubscription(object.id, 'canceled');
+                break;
+            default:
+                break;
+        }
+
+        this.store.update(data => {
+            data.billingEvents.push({ id: event.id, type: event.type, receivedAt: new Date().toISOString() });
+        });
+        console.log(`💳 Billing event ${event.type}`);
+    }
+
+    async activateSubscription(session) {
+        const user = findUserById(this.store, session.client_reference_id);
+        const tier = session.metadata && session.metadata.tier;
+        if (!user || !PAID_TIERS.includes(tier)) {
+            console.warn(`⚠️ Checkout ${session.id} does not match a user and paid plan`);
+            return;
+        }
+
+        const previous = this.getLiveSubscription(user.id);
+        const previousTier = user.subscriptionTier;
+        this.store.update(data => {
+            data.subscriptions.push({
+                id: randomId('sub_'),
+                userId: user.id,
+                tier,
+                providerSubscriptionId: session.subscription,
+                status: 'active',
+                currentPeriodEnd: null,
+                createdAt: new Date().toISOString()
+            });
+        });
+        updateUser(this.store, user.id, { subscriptionTier: tier });
+        this.audit.record('plan.changed', { user, details: { from: previousTier, to: tier, via: 'checkout' } });
+
+        // Switching between paid plans: stop billing for the old one. Its deletion event
+        // leaves the new plan in place because the user still has a live subscription.
+        if (previous) {
+            await this.provider.cancelSubscription(previous.providerSubscriptionId);
+        }
+    }
+
+    updateSubscriptionStatus(providerSubscriptionId, updates) {
+        this.store.update(data => {
+            const subscription = data.subscriptions.find(s => s.providerSubscriptionId === providerSubscriptionId);
+            if (subscription && LIVE_STATUSES.includes(subscription.status)) Object.assign(subscription, updates);
+        });
+    }
+
+    // Invoices can arrive before the checkout event, so the owner comes from the
+    // subscription metadata rather than a stored subscription
+    recordInvoice(invoice, status) {
+        const metadata = (invoice.subscription_details && invoice.subscription_details.metadata) || {};
+        const subscription = this.store.collection('subscriptions').find(s => s.providerSubscriptionId === invoice.subscription);
+        const userId = subscription ? subscription.userId : metadata.userId;
+        if (!userId || !findUserById(this.store, userId)) return;
+
+        this.store.update(data => {
+            data.invoices = data.invoices.filter(i => i.providerInvoiceId !== invoice.id);
+            data.invoices.push({
+                id: randomId('inv_'),
+                userId,
+                providerInvoiceId: invoice.id,
+                number: invoice.number,
+                tier: subscription ? subscription.tier : metadata.tier,
+                status,
+                amount: (status === 'paid' ? invoice.amount_paid : invoice.amount_due) / 100,
+                currency: String(invoice.currency || 'eur').toUpperCase(),
+                periodStart: toIso(invoice.period_start),
+                periodEnd: toIso(invoice.period_end),
+                createdAt: toIso(invoice.created) || new Date().toISOString()
+            });
+        });
+    }
+
+    async handleFailedPayment(invoice) {
+        const subscription = this.store.collection('subscriptions').find(s => s.providerSubscriptionId === invoice.subscription);
+        if (!subscription || !LIVE_STATUSES.includes(subscription.status)) return;
+
+        this.updateSubscriptionStatus(invoice.subscription, { status: 'past_due' });
+        const user = findUserById(this.store, subscription.userId);
+        if (!user) return;
+
+        await this.mail.send({
+            to: user.email,
+            subject: 'Your Ireland Supply Chain Pulse payment failed',
+            text: [
+                `Hi ${user.username},`,
+                '',
+                `We couldn't collect the payment for your ${PLAN_ENTITLEMENTS[subscription.tier].name} plan. Your plan stays active while we retry the charge over the next few days.`,
+                '',
+                'Please check your payment details. If the payment can\'t be collected, your account will move to the Free plan.',
+                '',
+                `${SERVER_CONFIG.appUrl}/`
+            ].join('\n')
+        });
+    }
+
+    async endSubscription(providerSubscriptionId, status) {
+        const subscription = this.store.collection('subscriptions').find(s => s.providerSubscriptionId === providerSubscriptionId);
+        if (!subscription || !LIVE_STATUSES.includes(subscription.status)) return;
+
+        this.store.update(() => {
+            Object.assign(subscription, { status, canceledAt: new Date().toISOString() });
+        });
+
+        // A replacement subscription (plan switch) keeps its own tier
+        const user = findUserById(this.store, subscription.userId);
+        if (!user || this.getLiveSubscription(user.id)) return;
+
+        updateUser(this.store, user.id, { subscriptionTier: 'free' });
+        this.audit.record('plan.changed', { user, details: { from: subscription.tier, to: 'free', via: `subscription_${status}` } });
+        await this.mail.send({
+            to: user.email,
+            subject: 'Your Ireland Supply Chain Pulse plan has ended',
+            text: [
+                `Hi ${user.username},`,
+                '',
+                `Your ${PLAN_ENTITLEMENTS[subscription.tier].name} subscription has ended and your account is now on the Free plan.`,
+                'Your account and data are unchanged; you can upgrade again at any time from Account settings.',
+                '',
+                `${SERVER_CONFIG.appUrl}/`
+            ].join('\n')
+        });
+    }
+
+    // For account deletion. Each subscription is marked canceled before the provider call,
+    // so the resulting deletion event finds nothing to downgrade or email about; a failed
+    // call restores it and stops, so the caller can keep the account.
+    async cancelSubscriptions(subscriptions) {
+        for (const subscription of subscriptions) {
+            const { status, canceledAt } = subscription;
+            this.store.update(() => {
+                Object.assign(subscription, { status: 'canceled', canceledAt: new Date().toISOString() });
+            });
+            try {
+                await this.provider.cancelSubscription(subscription.providerSubscriptionId);
+            } catch (error) {
+                this.store.update(() => {
+                    Object.assign(subscription, { status, canceledAt });
+                });
+                throw error;
+            }
+        }
+    }
+}
+
+module.exports = { BillingService, PAID_TIERS, publicSubscription, publicInvoice };
@@ -0,0 +1,86 @@
+// Server Configuration
+// Every setting can be overridden from the environment, so the same code runs locally
+// (defaults below) and in production.
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+const SERVER_CONFIG = {
+    port: Number(process.env.PORT) || 3000,
+    // Public origin used to build links in emails
+    appUrl: process.env.APP_URL || `http://localhost:${Number(process.env.PORT) || 3000}`,
+    // Static front end (index.html, app.js, style.css) served from the repository root
+    staticDir: ROOT_DIR,
+    // JSON file store and generated secrets; never committed
+    dataDir: DATA_DIR,
+    // HMAC key for session tokens; generated into dataDir on first run when unset
+    sessionSecret: process.env.SESSION_SECRET || null,
+    // Absolute session lifetime, and how long a session survives without any requests
+    sessionTtl: (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000,
+    sessionIdleTimeout: (Number(process.env.SESSION_IDLE_MINUTES) || 30) * 60 * 1000,
+    // Lifetime of the signed link in verification emails
+    emailVerificationTtl: 24 * 60 * 60 * 1000,
+    // Lifetime of the one-time link in password reset emails
+    passwordResetTtl: 60 * 60 * 1000,
+    // Lifetime of the link in workspace invitation emails
+    workspaceInviteTtl: 7 * 24 * 60 * 60 * 1000,
+    // Shared datasets and reports are kept as files next to the database
+    workspaceFilesDir: path.join(DATA_DIR, 'workspace-files'),
+    maxWorkspaceItemBytes: 15 * 1024 * 1024,
+    // Append-only audit log (one JSON event per line)
+    auditLogPath: path.join(DATA_DIR, 'audit.log.jsonl'),
+    mail: {
+        // 'smtp' in production; 'file' (default) or 'console' for development and tests
+        transport: process.env.MAIL_TRANSPORT || 'file',
+        from: process.env.MAIL_FROM || 'Ireland Supply Chain Pulse <no-reply@supplieriq.co>',
+        mailboxDir: path.join(DATA_DIR, 'mailbox'),
+        smtp: {
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || undefined,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+            // Only for relays on a trusted network: allows AUTH when the server offers no TLS
+            allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true'
+        }
+    },
+    // Accounts with these addresses can use the in-app admin pages (comma-separated)
+    adminEmails: (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean),
+    contact: {
+        // Optional address told about each new Contact page message
+        notifyEmail: process.env.CONTACT_NOTIFY_EMAIL || null
+    },
+    reports: {
+        // How often the scheduler looks for due scheduled reports
+        schedulerInterval: (Number(process.env.REPORT_SCHEDULER_SECONDS) || 60) * 1000,
+        // Used for schedules saved without the browser's time zone
+        defaultTimeZone: process.env.REPORT_TIME_ZONE || 'Europe/Dublin',
+        maxSnapshotBytes: 2 * 1024 * 1024,
+        // Public statistics fetched for scheduled dashboard and case-study reports
+        publicData: {
+            requestTimeout: (Number(process.env.PUBLIC_DATA_TIMEOUT_SECONDS) || 20) * 1000,
+            // Endpoint overrides in the browser's format, as JSON keyed by source id, e.g.
+            // {"dublinPort":{"url":"https://example.com/throughput.csv"},"oecd":{"enabled":false}}
+            endpointOverrides: JSON.parse(process.env.PUBLIC_DATA_ENDPOINTS || '{}')
+        }
+    },
+    billing: {
+        // 'stripe' in production; 'mock' (default) runs checkout and webhooks in-process
+        provider: process.env.BILLING_PROVIDER || 'mock',
+        stripe: {
+            secretKey: process.env.STRIPE_SECRET_KEY,
+            webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+            // Recurring monthly Price IDs for each paid plan
+            prices: {
+                lite: process.env.STRIPE_PRICE_LITE,
+                paid_max: process.env.STRIPE_PRICE_MAX
+            }
+        }
+    },
+    // scrypt cost parameters for password hashing
+    scrypt: { N: 16384, r: 8, p: 1, keyLength: 64 },
+    maxBodyBytes: 1024 * 1024
+};
+
+module.exports = { SERVER_CONFIG, ROOT_DIR };
@@ -0,0 +1,163 @@
+// Transactional Emails
+// Verification link tokens are signed with the session secret but carry their own purpose,
+// so a verification link can never be used as a session token or vice versa. Password
+// reset links are random one-time tokens; only their SHA-256 hash is stored.
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./auth');
+const { SERVER_CONFIG } = require('./config');
+
+function createEmailVerificationToken(user, secret, email = user.email) {
+    return signToken({
+        purpose: 'verify-email',
+        sub: user.id,
+        // Binding the address means a link stops working if the email is changed
+        email,
+        exp: Date.now() + SERVER_CONFIG.emailVerificationTtl
+    }, secret);
+}
+
+// Returns the payload if the token is a valid, unexpired verification token
+function readEmailVerificationToken(token, secret) {
+    const payload = verifyToken(token, secret);
+    return payload && payload.purpose === 'verify-email' ? payload : null;
+}
+
+// email defaults to the account address; an address change is verified at the new one
+async function sendVerificationEmail({ mail, secret }, user, email = user.email) {
+    const link = `${SERVER_CONFIG.appUrl}/?verify=${encodeURIComponent(createEmailVerificationToken(user, secret, email))}`;
+    const hours = Math.round(SERVER_CONFIG.emailVerificationTtl / (60 * 60 * 1000));
+
+    await mail.send({
+        to: email,
+        subject: 'Verify your Ireland Supply Chain Pulse account',
+        text: [
+            `Hi ${user.username},`,
+            '',
+            'Welcome to live supply chain analytics! Confirm your email address to activate your account:',
+            '',
+            link,
+            '',
+            `This link expires in ${hours} hours. If you didn't sign up, you can ignore this email.`
+        ].join('\n')
+    });
+}
+
+function hashOneTimeToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Issues a one-time reset token, replacing any earlier unused one for the user
+async function sendPasswordResetEmail({ store, mail }, user) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    store.update(data => {
+        data.passwordResets = data.passwordResets.filter(reset => reset.userId !== user.id && reset.expiresAt > now);
+        data.passwordResets.push({ userId: user.id, tokenHash: hashOneTimeToken(token), createdAt: now, expiresAt: now + SERVER_CONFIG.passwordResetTtl });
+    });
+
+    const minutes = Math.round(SERVER_CONFIG.passwordResetTtl / (60 * 1000));
+    await mail.send({
+        to: user.email,
+        subject: 'Reset your Ireland Supply Chain Pulse password',
+        text: [
+            `Hi ${user.username},`,
+            '',
+            'We received a request to reset your password. Choose a new one here:',
+            '',
+            `${SERVER_CONFIG.appUrl}/?reset=${token}`,
+            '',
+            `This link works once and expires in ${minutes} minutes. If you didn't ask for a reset, you can ignore this email.`
+        ].join('\n')
+    });
+}
+
+// Removes and returns the reset record for a token, or null if it is unknown or expired
+function consumePasswordResetToken(store, token) {
+    const tokenHash = hashOneTimeToken(token);
+    return store.update(data => {
+        const reset = data.passwordResets.find(r => r.tokenHash === tokenHash);
+        data.passwordResets = data.passwordResets.filter(r => r !== reset);
+        return reset && reset.expiresAt > Date.now() ? reset : null;
+    });
+}
+
+// Invitation links are random one-time tokens too, stored hashed on the invite record
+async function sendWorkspaceInviteEmail({ mail }, { workspace, inviter, email, role, token }) {
+    const days = Math.round(SERVER_CONFIG.workspaceInviteTtl / (24 * 60 * 60 * 1000));
+
+    await mail.send({
+        to: email,
+        subject: `${inviter.username} invited you to ${workspace.name} on Ireland Supply Chain Pulse`,
+        text: [
+            'Hi,',
+            '',
+            `${inviter.username} has invited you to join the ${workspace.name} workspace as ${role === 'admin' ? 'an' : 'a'} ${role}.`,
+            'Members share the workspace plan, uploaded datasets, saved dashboards and reports.',
+            '',
+            `${SERVER_CONFIG.appUrl}/?invite=${token}`,
+            '',
+            `Sign in (or create an account) with this email address to accept. The link expires in ${days} days.`
+        ].join('\n')
+    });
+}
+
+// Deliberately repeats nothing the sender typed, so the form can't be used to send
+// arbitrary text to someone else's inbox
+async function sendContactAutoReply({ mail }, email) {
+    await mail.send({
+        to: email,
+        subject: 'We received your message - Ireland Supply Chain Pulse',
+        text: [
+            'Hi,',
+            '',
+            'Thanks for getting in touch. Your message has reached our team and we aim to reply within two working days.',
+            '',
+            "If you didn't contact us, someone may have entered your address by mistake and you can ignore this email."
+        ].join('\n')
+    });
+}
+
+async function sendContactNotification({ mail }, to, message) {
+    await mail.send({
+        to,
+        subject: `New contact message: ${message.subject}`,
+        text: [
+            `From: ${message.name} <${message.email}>`,
+            '',
+            message.message,
+            '',
+            `Read and manage messages in the admin inbox: ${SERVER_CONFIG.appUrl}/`
+        ].join('\n')
+    });
+}
+
+// Sent to every recipient of a scheduled report, naming who scheduled it and how to stop it
+async function sendScheduledReportEmail({ mail }, { user, schedule, recipients, reportName, figuresNote, subject, attachment }) {
+    await mail.send({
+        to: recipients,
+        subject,
+        text: [
+            'Hi,',
+            '',
+            `Attached is the ${schedule.frequency} ${reportName} that ${user.username} (${user.email}) scheduled on Ireland Supply Chain Pulse.`,
+            figuresNote,
+            '',
+            `To change the recipients or stop these emails, ${user.username} can manage scheduled reports on the Reports page: ${SERVER_CONFIG.appUrl}/`
+        ].join('\n'),
+        attachments: [attachment]
+    });
+}
+
+module.exports = {
+    createEmailVerificationToken,
+    readEmailVerificationToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    consumePasswordResetToken,
+    hashOneTimeToken,
+    sendWorkspaceInviteEmail,
+    sendContactAutoReply,
+    sendContactNotification,
+    sendScheduledReportEmail
+};
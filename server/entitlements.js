@@ -0,0 +1,124 @@
+// Subscription Entitlements
+// The single definition of what each tier includes. The server enforces it (upload
+// quotas, gated endpoints) and sends it to the browser, which uses it to lock features
+// and show upgrade prompts. uploadsPerMonth: null means unlimited.
+// Workspace members get the workspace's plan, and share its monthly upload allowance.
+const { HttpError } = require('./http');
+const { findWorkspaceForUser, getWorkspaceOwner, getMemberIds } = require('./workspaces');
+
+const FEATURES = {
+    marketBenchmarking: 'Market benchmarking tools',
+    advancedReports: 'Advanced PDF reporting',
+    customDashboards: 'Custom reports & dashboards'
+};
+
+const PLAN_ENTITLEMENTS = {
+    free: {
+        name: 'Free',
+        price: 0,
+        uploadsPerMonth: 1,
+        features: []
+    },
+    lite: {
+        name: 'Lite',
+        price: 29,
+        uploadsPerMonth: 5,
+        features: ['marketBenchmarking', 'advancedReports']
+    },
+    paid_max: {
+        name: 'Max',
+        price: 99,
+        uploadsPerMonth: null,
+        features: Object.keys(FEATURES)
+    }
+};
+
+// Users without a tier (mid-signup) or with an unknown one get Free entitlements
+function getUserTier(user) {
+    return PLAN_ENTITLEMENTS[user.subscriptionTier] ? user.subscriptionTier : 'free';
+}
+
+// The tier that applies to the user: their workspace's plan if they are in one
+function getEffectiveTier(store, user) {
+    const workspace = findWorkspaceForUser(store, user.id);
+    const owner = workspace && getWorkspaceOwner(store, workspace);
+    return getUserTier(owner || user);
+}
+
+function hasFeature(store, user, feature) {
+    return PLAN_ENTITLEMENTS[getEffectiveTier(store, user)].features.includes(feature);
+}
+
+// Cheapest tier that includes a feature, for upgrade messages
+function requiredTierFor(feature) {
+    return Object.keys(PLAN_ENTITLEMENTS).find(tier => PLAN_ENTITLEMENTS[tier].features.includes(feature));
+}
+
+// Next tier up with a bigger monthly upload allowance
+function upgradeTierForUploads(tier) {
+    const tiers = Object.keys(PLAN_ENTITLEMENTS);
+    const current = PLAN_ENTITLEMENTS[tier].uploadsPerMonth;
+    return tiers.slice(tiers.indexOf(tier) + 1).find(candidate => {
+        const limit = PLAN_ENTITLEMENTS[candidate].uploadsPerMonth;
+        return limit === null || limit > current;
+    }) || null;
+}
+
+function requireFeature(store, user, feature) {
+    if (hasFeature(store, user, feature)) return;
+
+    const requiredTier = requiredTierFor(feature);
+    throw new HttpError(403, `${FEATURES[feature]} is available on the ${PLAN_ENTITLEMENTS[requiredTier].name} plan and above.`, 'FEATURE_NOT_IN_PLAN', { feature, requiredTier });
+}
+
+// Quotas run per calendar month in UTC
+function getMonthBounds(date = new Date()) {
+    const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    const end = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    return { start, end };
+}
+
+function getUploadUsage(store, user) {
+    const { start, end } = getMonthBounds();
+    const limit = PLAN_ENTITLEMENTS[getEffectiveTier(store, user)].uploadsPerMonth;
+    const workspace = findWorkspaceForUser(store, user.id);
+    const uploaderIds = workspace ? getMemberIds(store, workspace.id) : [user.id];
+    const used = store.collection('uploads')
+        .filter(upload => uploaderIds.includes(upload.userId) && upload.createdAt >= start && upload.createdAt < end)
+        .length;
+
+    return {
+        used,
+        limit,
+        remaining: limit === null ? null : Math.max(0, limit - used),
+        resetsAt: new Date(end).toISOString()
+    };
+}
+
+function getEntitlements(store, user) {
+    const tier = getEffectiveTier(store, user);
+    const workspace = findWorkspaceForUser(store, user.id);
+    return {
+        tier,
+        // Set when the plan comes from a workspace rather than the user's own subscription
+        workspace: workspace ? { id: workspace.id, name: workspace.name } : null,
+        plan: PLAN_ENTITLEMENTS[tier],
+        features: PLAN_ENTITLEMENTS[tier].features,
+        uploads: getUploadUsage(store, user),
+        catalog: { plans: PLAN_ENTITLEMENTS, features: FEATURES }
+    };
+}
+
+module.exports = {
+    FEATURES,
+    PLAN_ENTITLEMENTS,
+    getUserTier,
+    getEffectiveTier,
+    hasFeature,
+    requiredTierFor,
+    upgradeTierForUploads,
+    requireFeature,
+    getMonthBounds,
+    getUploadUsage,
+    getEntitlements
+};
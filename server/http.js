@@ -0,0 +1,116 @@
+// HTTP Helpers
+// A small router with :param segments, JSON bodies and an HttpError that handlers throw
+// to produce { error, code } responses with the right status.
+const { SERVER_CONFIG } = require('./config');
+
+class HttpError extends Error {
+    constructor(status, message, code = null, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+class Router {
+    constructor() {
+        this.routes = [];
+    }
+
+    // options.auth: the handler receives { user, session } and anonymous requests get a 401;
+    //   'optional' passes { user, session } when a valid token is sent and allows anonymous use
+    // options.admin: also requires a site admin (see isAdmin in users.js)
+    // options.maxBodyBytes: raises the request body limit for routes that accept files
+    add(method, pattern, handler, options = {}) {
+        const keys = [];
+        const regex = new RegExp('^' + pattern.replace(/:([a-zA-Z]+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        }) + '/?$');
+        this.routes.push({ method, regex, keys, handler, options });
+    }
+
+    match(method, pathname) {
+        for (const route of this.routes) {
+            const match = route.method === method && route.regex.exec(pathname);
+            if (match) {
+                const params = {};
+                route.keys.forEach((key, index) => {
+                    try {
+                        params[key] = decodeURIComponent(match[index + 1]);
+                    } catch (error) {
+                        throw new HttpError(400, 'Malformed request path', 'BAD_REQUEST');
+                    }
+                });
+                return { handler: route.handler, options: route.options, params };
+            }
+        }
+        return null;
+    }
+}
+
+// Resolves to { raw, json }: the raw text is kept for webhook signature checks
+function readJsonBody(req, maxBytes = SERVER_CONFIG.maxBodyBytes) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(new HttpError(413, 'Request body is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            if (raw === '') return resolve({ raw, json: {} });
+            try {
+                resolve({ raw, json: JSON.parse(raw) });
+            } catch (error) {
+                reject(new HttpError(400, 'Request body is not valid JSON'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, payload) {
+    const body = payload === undefined ? '' : JSON.stringify(payload);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+}
+
+// Handlers return { status, body } for JSON, { status, html } for a page, or
+// { redirect } for a 303 to another URL
+function sendResult(res, result) {
+    if (result.redirect) {
+        res.writeHead(303, { 'Location': result.redirect, 'Cache-Control': 'no-store' });
+        res.end();
+        return;
+    }
+
+    if (result.html !== undefined) {
+        res.writeHead(result.status || 200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end(result.html);
+        return;
+    }
+
+    sendJson(res, result.status || 200, result.body);
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+module.exports = { HttpError, Router, readJsonBody, sendJson, sendResult, getBearerToken };
@@ -0,0 +1,278 @@
+// Live Reports
+// The dashboard and case-study reports as scheduled emails send them: the sections of
+// buildDashboardReport and buildCaseStudiesReport in app.js, filled in from the public
+// data fetched for the run (see public-data.js), which has the shapes the dashboard's
+// parsers return. A source that could not be reached shows n/a, and the sources table
+// says why. Documents use the block format that normalizeReportDocument in reports.js accepts.
+const {
+    formatChange,
+    formatCompactNumber,
+    formatPeriodLabel,
+    summarizeSeries
+} = require('../data-sources');
+
+function createDocument(title, { cover = null, contents = false } = {}) {
+    const document = { title, cover, contents, blocks: [] };
+    return {
+        document,
+        heading: (text, level = 1) => document.blocks.push({ type: 'heading', text, level }),
+        paragraph: (text, options = {}) => document.blocks.push({ type: 'paragraph', text, ...options }),
+        bullets: (items, options = {}) => document.blocks.push({ type: 'bullets', items, ...options }),
+        table: (columns, rows) => document.blocks.push({ type: 'table', columns, rows }),
+        addPage: () => document.blocks.push({ type: 'pageBreak' })
+    };
+}
+
+function formatRetrievedAt(date, timeZone) {
+    return date.toLocaleString('en-IE', { timeZone, day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// "Retrieved 19 Oct 2026, 09:15", or why the source has no figures
+function describeSource(source, timeZone) {
+    return source.error
+        ? `Not available when this report was sent (${source.error})`
+        : `Retrieved ${formatRetrievedAt(source.fetchedAt, timeZone)}`;
+}
+
+// Change between the two latest points, as the dashboard's trend badges show it: '+2.6% vs 2022'
+function formatTrend(points) {
+    const { previous, change } = summarizeSeries({ points });
+    return change === null ? '—' : `${formatChange(change)} vs ${formatPeriodLabel(previous.period)}`;
+}
+
+// A World Bank indicator's yearly points up to the year the figures describe
+function worldBankPoints(trade, indicator) {
+    const series = trade.timeSeries.series.find(item => item.key === indicator);
+    return series ? series.points.filter(point => Number(point.period) <= trade.year) : [];
+}
+
+function formatCommodity(commodity) {
+    return commodity ? `€${commodity.value.toFixed(1)}B (${commodity.share}% of exports)` : 'n/a';
+}
+
+function findCommodity(sources, pattern) {
+    return sources.cso.data ? sources.cso.data.topCommodities.find(commodity => pattern.test(commodity.name)) : null;
+}
+
+function buildDashboardReport(sources, { timeZone }) {
+    const trade = sources.worldBank.data;
+    const eu = sources.eurostat.data;
+    const cso = sources.cso.data;
+    const port = sources.dublinPort.data;
+    const formatBillions = value => value === null || value === undefined ? 'n/a' : Number(value).toFixed(2);
+    const formatShare = value => value === null ? 'n/a' : `${value.toFixed(1)}%`;
+    const portPoints = field => port.periods
+        .filter(period => period[field] !== null)
+        .map(period => ({ period: period.period, value: period[field] }));
+
+    const report = createDocument('Live Data Analytics Report', {
+        contents: true,
+        cover: {
+            subtitle: 'Irish trade and port indicators',
+            details: [
+                `Generated: ${formatRetrievedAt(new Date(), timeZone)}`,
+                `Data sources: ${Object.values(sources).map(source => source.name).join(', ')}`,
+                'Figures are official statistics from Irish government and international sources, retrieved when this report was sent. Each figure\'s reference period and retrieval status are listed in the Data Sources appendix.'
+            ]
+        }
+    });
+
+    const kpi = (indicator, value, change, sourceId) => {
+        const source = sources[sourceId];
+        return [indicator, source.data ? value() : 'n/a', source.data ? change() : '—', source.period || 'n/a', source.name];
+    };
+
+    report.heading('Key Figures');
+    report.table(
+        [{ label: 'Indicator', width: 2 }, { label: 'Value', width: 1.3, align: 'right' }, { label: 'Change', width: 1.4 }, { label: 'Period', width: 1.2 }, { label: 'Source', width: 1.6 }],
+        [
+            kpi('Total trade in goods and services', () => trade.totalTrade, () => trade.growth, 'worldBank'),
+            kpi('Exports of goods and services', () => trade.exports, () => formatTrend(worldBankPoints(trade, 'NE.EXP.GNFS.CD')), 'worldBank'),
+            kpi('Imports of goods and services', () => trade.imports, () => formatTrend(worldBankPoints(trade, 'NE.IMP.GNFS.CD')), 'worldBank'),
+            kpi('Trade surplus', () => trade.tradeSurplus, () => '—', 'worldBank'),
+            kpi('Share of exports to the EU', () => formatShare(eu.intraExportShare), () => '—', 'eurostat'),
+            kpi('Dublin Port throughput', () => `${formatCompactNumber(port.totalThroughput)} tonnes`,
+                () => formatTrend(portPoints('totalThroughput')), 'dublinPort'),
+            kpi('Dublin Port container traffic', () => port.containerTraffic === null ? 'n/a' : `${formatCompactNumber(port.containerTraffic)} TEUs`,
+                () => port.containerTraffic === null ? '—' : formatTrend(portPoints('containerTraffic')), 'dublinPort')
+        ]
+    );
+
+    const highlights = [
+        trade ? `Total exports reached ${trade.exports} with ${trade.growth} growth.` : null,
+        trade ? `Trade surplus of ${trade.tradeSurplus}.` : null,
+        eu ? `Intra-EU exports: ${eu.intraExports}; extra-EU exports: ${eu.extraExports}.` : null,
+        port ? `Dublin Port cargo mix (${port.periodLabel}): ${Object.entries(port.cargoBreakdown).map(([mode, share]) => `${mode} ${share}%`).join(', ')}.` : null
+    ].filter(Boolean);
+    if (highlights.length) {
+        report.heading('Highlights', 2);
+        report.bullets(highlights);
+    }
+
+    report.heading('Trade Performance');
+    if (cso && cso.monthlyExports.length) {
+        report.paragraph(`Monthly merchandise trade from the CSO (${sources.cso.period}), € billions.`, { size: 9.5, tone: 'muted' });
+        const importsByPeriod = new Map(cso.monthlyImports.map(point => [point.period, point.value]));
+        report.table(
+            [{ label: 'Period', width: 1.2 }, { label: 'Exports', align: 'right' }, { label: 'Imports', align: 'right' }, { label: 'Trade balance', align: 'right' }],
+            cso.monthlyExports.map(point => {
+                const imports = importsByPeriod.has(point.period) ? importsByPeriod.get(point.period) : null;
+                return [formatPeriodLabel(point.period), formatBillions(point.value), formatBillions(imports), imports === null ? 'n/a' : formatBillions(point.value - imports)];
+            })
+        );
+    } else {
+        report.paragraph('No monthly trade figures could be retrieved from the CSO for this report.', { size: 9.5 });
+    }
+
+    report.heading('Dublin Port');
+    if (port) {
+        report.paragraph(`Cargo by mode, % of tonnage (${port.periodLabel}).`, { size: 9.5, tone: 'muted' });
+        report.table(
+            [{ label: 'Cargo mode', width: 2 }, { label: 'Share of tonnage', align: 'right' }],
+            Object.entries(port.cargoBreakdown).map(([mode, share]) => [mode, `${share}%`])
+        );
+    } else {
+        report.paragraph('Dublin Port statistics could not be retrieved for this report.', { size: 9.5 });
+    }
+
+    report.heading('Export Sectors');
+    if (cso && cso.topCommodities.length) {
+        report.paragraph(`Exports by commodity group, € billions (${sources.cso.period}).`, { size: 9.5, tone: 'muted' });
+        report.table(
+            [{ label: 'Commodity group', width: 2 }, { label: 'Exports (€B)', align: 'right' }, { label: 'Share', align: 'right' }],
+            cso.topCommodities.map(commodity => [commodity.name, formatBillions(commodity.value), `${commodity.share}%`])
+        );
+    } else {
+        report.paragraph('No export figures by commodity group could be retrieved from the CSO for this report.', { size: 9.5 });
+    }
+
+    report.heading('Appendix: Data Sources');
+    report.table(
+        [{ label: 'Source', width: 1.5 }, { label: 'Figures', width: 1.8 }, { label: 'Reference period', width: 1.2 }, { label: 'Status', width: 2 }],
+        Object.values(sources).map(source => [source.name, source.description, source.period || 'n/a', describeSource(source, timeZone)])
+    );
+    report.paragraph('Sources that could not be reached when this report was sent show n/a; they are tried again at the next run.', { size: 9, tone: 'muted' });
+
+    return report.document;
+}
+
+// The same studies as CASE_STUDIES in app.js; marketFigures reads the fetched public data
+const CASE_STUDIES = [
+    {
+        name: 'Dublin Food Distributor',
+        sector: 'Food & Beverage',
+        challenge: 'High inventory carrying costs and frequent stockouts affecting customer satisfaction',
+        solution: 'Implemented demand forecasting system using live Dublin Port throughput data and real-time market analytics',
+        implementation: '6 weeks',
+        results: [
+            { value: '15%', label: 'Inventory Reduction' },
+            { value: '€45K', label: 'Annual Savings' },
+            { value: '78%', label: 'Stockout Reduction' }
+        ],
+        marketFigures: sources => {
+            const port = sources.dublinPort.data;
+            return [
+                { label: 'Dublin Port throughput', value: port ? `${formatCompactNumber(port.totalThroughput)} tonnes` : 'n/a', sourceId: 'dublinPort' },
+                { label: 'Ro-Ro share of port tonnage', value: port && port.cargoBreakdown['Ro-Ro'] !== undefined ? `${port.cargoBreakdown['Ro-Ro']}%` : 'n/a', sourceId: 'dublinPort' },
+                { label: 'Food & live animal exports', value: formatCommodity(findCommodity(sources, /food/i)), sourceId: 'cso' }
+            ];
+        }
+    },
+    {
+        name: 'Cork Pharmaceutical Supplier',
+        sector: 'Pharmaceuticals',
+        challenge: 'Long lead times from EU suppliers impacting production schedules',
+        solution: 'Diversified supplier base using live trade data and implemented real-time tracking across supply chain',
+        implementation: '10 weeks',
+        results: [
+            { value: '22%', label: 'Lead Time Reduction' },
+            { value: '€78K', label: 'Annual Savings' },
+            { value: '96%', label: 'Delivery Reliability' }
+        ],
+        marketFigures: sources => {
+            const eu = sources.eurostat.data;
+            return [
+                { label: 'Medical & pharmaceutical exports', value: formatCommodity(findCommodity(sources, /pharma|medic/i)), sourceId: 'cso' },
+                { label: 'Share of exports to EU member states', value: eu ? `${eu.intraExportShare.toFixed(1)}%` : 'n/a', sourceId: 'eurostat' },
+                { label: 'Exports to non-EU countries', value: eu ? eu.extraExports : 'n/a', sourceId: 'eurostat' }
+            ];
+        }
+    },
+    {
+        name: 'Galway Electronics Retailer',
+        sector: 'Electronics',
+        challenge: 'Excess inventory tying up working capital and increasing storage costs',
+        solution: 'Implemented just-in-time inventory management with live market data automation',
+        implementation: '8 weeks',
+        results: [
+            { value: '18%', label: 'Carrying Cost Reduction' },
+            { value: '€32K', label: 'Annual Savings' },
+            { value: '4.2x', label: 'Inventory Turns' }
+        ],
+        marketFigures: sources => {
+            const trade = sources.worldBank.data;
+            return [
+                { label: 'Imports of goods and services', value: trade ? trade.imports : 'n/a', sourceId: 'worldBank' },
+                { label: 'Total trade, change on previous year', value: trade ? trade.growth : 'n/a', sourceId: 'worldBank' },
+                { label: 'Machinery & transport equipment exports', value: formatCommodity(findCommodity(sources, /machinery/i)), sourceId: 'cso' }
+            ];
+        }
+    }
+];
+
+function buildCaseStudiesReport(sources, { timeZone }) {
+    const report = createDocument('SME Case Studies');
+    const citedSources = new Set();
+
+    report.heading('SME Case Studies with Live Market Context');
+    report.paragraph('How three Irish SMEs cut costs and lead times, with each study\'s headline results set next to the current market figures they relate to. Market figures were retrieved from each public source when this report was sent; the date and source of every figure are listed with it.', { tone: 'muted' });
+
+    CASE_STUDIES.forEach((study, index) => {
+        if (index > 0) report.addPage();
+
+        report.heading(study.name);
+        report.paragraph(`${study.sector} | Implementation: ${study.implementation}`, { size: 9.5, tone: 'muted' });
+        report.heading('Challenge', 2);
+        report.paragraph(study.challenge);
+        report.heading('Solution', 2);
+        report.paragraph(study.solution);
+
+        report.heading('Results and current market figures', 2);
+        report.table(
+            [{ label: 'Result', width: 2 }, { label: 'Value', width: 1, align: 'right' }],
+            study.results.map(result => [result.label, result.value])
+        );
+        report.table(
+            [
+                { label: 'Market figure', width: 2.4 },
+                { label: 'Value', width: 1.8 },
+                { label: 'Period', width: 1.3 },
+                { label: 'Source', width: 1.7 },
+                { label: 'Date', width: 2 }
+            ],
+            study.marketFigures(sources).map(figure => {
+                const source = sources[figure.sourceId];
+                citedSources.add(figure.sourceId);
+                return [figure.label, figure.value, source.period || 'n/a', source.name, describeSource(source, timeZone)];
+            })
+        );
+    });
+
+    report.heading('Sources', 2);
+    report.bullets([...citedSources].map(sourceId => {
+        const source = sources[sourceId];
+        return `${source.name}: ${source.description}. ${describeSource(source, timeZone)}.`;
+    }), { size: 9.5 });
+    report.paragraph('Case study results are reported by the companies involved. Market figures give context and do not measure the studies\' results.', { size: 9, tone: 'muted' });
+
+    return report.document;
+}
+
+// Report types built on the server at each run; the others are sent from the copy the
+// browser saved
+const LIVE_REPORT_BUILDERS = {
+    dashboard: buildDashboardReport,
+    caseStudies: buildCaseStudiesReport
+};
+
+module.exports = { LIVE_REPORT_BUILDERS };
@@ -0,0 +1,219 @@
+// Mail Transports
+// Outgoing mail goes through one of three interchangeable transports, picked by
+// SERVER_CONFIG.mail.transport:
+//   smtp     deliver through an SMTP relay (implicit TLS or STARTTLS, AUTH PLAIN); credentials
+//            are only sent over TLS unless allowInsecureAuth is set
+//   file     write each message as an .eml file into the local mailbox directory
+//   console  print the message to the server log
+// Every transport exposes async send({ to, subject, text, attachments }), where each
+// attachment is { filename, contentType, content (Buffer) }.
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const crypto = require('crypto');
+
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function extractAddress(value) {
+    const match = /<([^>]+)>/.exec(value);
+    return (match ? match[1] : value).trim();
+}
+
+function encodeBase64(content) {
+    return Buffer.from(content).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// RFC 5322 message with base64 parts, so long lines and leading dots need no escaping.
+// With attachments the text becomes the first part of a multipart/mixed body.
+function buildMessage({ from, to, subject, text, attachments = [], messageId }) {
+    const recipients = [].concat(to);
+    const headers = [
+        `From: ${from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${messageId}>`,
+        'MIME-Version: 1.0'
+    ];
+    const textPart = [
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBase64(Buffer.from(text, 'utf8'))
+    ];
+
+    if (!attachments.length) return [...headers, ...textPart].join('\r\n');
+
+    const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+    const parts = [textPart, ...attachments.map(attachment => [
+        `Content-Type: ${attachment.contentType}; name="${encodeHeader(attachment.filename)}"`,
+        `Content-Disposition: attachment; filename="${encodeHeader(attachment.filename)}"`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBase64(attachment.content)
+    ])];
+
+    return [
+        ...headers,
+        `Content-Type: multipart/mixed; boundary="${boundary}"`,
+        '',
+        ...parts.flatMap(part => [`--${boundary}`, ...part]),
+        `--${boundary}--`
+    ].join('\r\n');
+}
+
+class ConsoleTransport {
+    async send(message) {
+        const attachments = (message.attachments || []).map(attachment => `📎 ${attachment.filename} (${attachment.content.length} bytes)`);
+        console.log(`📧 Mail to ${[].concat(message.to).join(', ')}: ${message.subject}\n${[message.text, ...attachments].join('\n')}`);
+        return { transport: 'console' };
+    }
+}
+
+class FileTransport {
+    constructor({ mailboxDir, from }) {
+        this.mailboxDir = mailboxDir;
+        this.from = from;
+    }
+
+    async send(message) {
+        const messageId = `${crypto.randomBytes(12).toString('hex')}@${os.hostname()}`;
+        const filePath = path.join(this.mailboxDir, `${Date.now()}-${messageId.split('@')[0]}.eml`);
+
+        fs.mkdirSync(this.mailboxDir, { recursive: true });
+        fs.writeFileSync(filePath, buildMessage({ from: this.from, ...message, messageId }));
+        console.log(`📧 Mail to ${[].concat(message.to).join(', ')} saved to ${filePath}`);
+        return { transport: 'file', path: filePath };
+    }
+}
+
+// One SMTP conversation: reads multi-line replies and survives the STARTTLS upgrade
+class SmtpConnection {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.buffer = '';
+        this.lines = [];
+        this.waiting = null;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        if (this.socket) this.socket.removeAllListeners('data');
+        this.socket = socket;
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+        socket.on('data', chunk => {
+            this.buffer += chunk.toString('utf8');
+            let index;
+            while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+                this.lines.push(this.buffer.slice(0, index));
+                this.buffer = this.buffer.slice(index + 2);
+            }
+            this.flush();
+        });
+        socket.on('error', error => {
+            if (this.waiting) this.waiting.reject(error);
+            this.waiting = null;
+        });
+    }
+
+    // A reply ends at the first line whose code is followed by a space
+    flush() {
+        if (!this.waiting) return;
+        const endIndex = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (endIndex === -1) return;
+
+        const replyLines = this.lines.splice(0, endIndex + 1);
+        const { resolve } = this.waiting;
+        this.waiting = null;
+        resolve({ code: Number(replyLines[endIndex].slice(0, 3)), lines: replyLines.map(line => line.slice(4)) });
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.flush();
+        });
+    }
+
+    async expect(codes, command = null) {
+        if (command !== null) this.socket.write(`${command}\r\n`);
+        const reply = await this.read();
+        if (!codes.includes(reply.code)) {
+            const label = command ? command.split(' ')[0] : 'greeting';
+            throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+}
+
+class SmtpTransport {
+    constructor({ host, port, secure, user, pass, allowInsecureAuth = false, from, timeout = 30000 }) {
+        if (!host) throw new Error('SMTP transport needs SMTP_HOST');
+        this.options = { host, port: port || (secure ? 465 : 587), secure, user, pass, allowInsecureAuth, timeout };
+        this.from = from;
+    }
+
+    connect() {
+        const { host, port, secure } = this.options;
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+                : net.connect(port, host, () => resolve(socket));
+            socket.once('error', reject);
+        });
+    }
+
+    async send(message) {
+        const { host, secure, user, pass, allowInsecureAuth, timeout } = this.options;
+        const messageId = `${crypto.randomBytes(12).toString('hex')}@${host}`;
+        const connection = new SmtpConnection(await this.connect(), timeout);
+
+        try {
+            await connection.expect([220]);
+            let hello = await connection.expect([250], `EHLO ${os.hostname()}`);
+            let encrypted = Boolean(secure);
+
+            if (!secure && hello.lines.some(line => /^STARTTLS/i.test(line))) {
+                await connection.expect([220], 'STARTTLS');
+                const secureSocket = await new Promise((resolve, reject) => {
+                    const upgraded = tls.connect({ socket: connection.socket, servername: host }, () => resolve(upgraded));
+                    upgraded.once('error', reject);
+                });
+                connection.attach(secureSocket);
+                encrypted = true;
+                hello = await connection.expect([250], `EHLO ${os.hostname()}`);
+            }
+
+            if (user) {
+                if (!encrypted && !allowInsecureAuth) {
+                    throw new Error(`SMTP server ${host} does not offer STARTTLS; refusing to send credentials unencrypted (set SMTP_ALLOW_INSECURE_AUTH=true to allow)`);
+                }
+                const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+                await connection.expect([235], `AUTH PLAIN ${credentials}`);
+            }
+
+            await connection.expect([250], `MAIL FROM:<${extractAddress(this.from)}>`);
+            for (const recipient of [].concat(message.to)) {
+                await connection.expect([250, 251], `RCPT TO:<${extractAddress(recipient)}>`);
+            }
+            await connection.expect([354], 'DATA');
+            await connection.expect([250], `${buildMessage({ from: this.from, ...message, messageId })}\r\n.`);
+            await connection.expect([221], 'QUIT').catch(() => {});
+            return { transport: 'smtp', messageId };
+        } finally {
+            connection.socket.end();
+        }
+    }
+}
+
+function createMailTransport({ transport, from, mailboxDir, smtp }) {
+    if (transport === 'smtp') return new SmtpTransport({ ...smtp, from });
+    if (transport === 'console') return new ConsoleTransport();
+    return new FileTransport({ mailboxDir, from });
+}
+
+module.exports = { createMailTransport, buildMessage, SmtpTransport, FileTransport, ConsoleTransport };
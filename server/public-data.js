@@ -0,0 +1,126 @@
+// Public Data Sources
+// Scheduled dashboard and case-study reports are built on the server from the public
+// statistics behind the dashboard, fetched when a run is due, so emailed figures are as
+// current as the sources. Endpoints, date parameters and parsing come from data-sources.js,
+// which the browser loads too; overrides follow the browser's endpoint overrides
+// (SERVER_CONFIG.reports.publicData.endpointOverrides).
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { SERVER_CONFIG } = require('./config');
+const {
+    PUBLIC_DATA_SOURCES,
+    resolveSourceConfig,
+    resolveSourceUrl,
+    getDefaultDateRange,
+    parseCSV,
+    tableFromMatrix
+} = require('../data-sources');
+
+const MAX_RESPONSE_CHARACTERS = 20 * 1024 * 1024;
+// Reports due in the same scheduler run (or sent again straight away) share one fetch
+const PUBLIC_DATA_MAX_AGE = 5 * 60 * 1000;
+
+// GET a URL's body as text; HTTP errors carry their status
+function fetchText(url) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('http:') ? http : https;
+        const req = client.get(url, {
+            headers: { 'Accept': 'application/json, text/csv, */*', 'User-Agent': 'IrelandSupplyChainPulse/1.0' },
+            timeout: SERVER_CONFIG.reports.publicData.requestTimeout
+        }, res => {
+            if (res.statusCode >= 300) {
+                res.resume();
+                const error = new Error(`HTTP ${res.statusCode}`);
+                error.status = res.statusCode;
+                reject(error);
+                return;
+            }
+
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                text += chunk;
+                if (text.length > MAX_RESPONSE_CHARACTERS) req.destroy(new Error('Response too large'));
+            });
+            res.on('end', () => resolve(text));
+        });
+        req.on('timeout', () => req.destroy(new Error('Request timed out')));
+        req.on('error', reject);
+    });
+}
+
+async function fetchJson(url, fetch) {
+    const text = await fetch(url);
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error('The response was not JSON');
+    }
+}
+
+// Dublin Port's spreadsheet as a { headers, rows } table. A relative URL (the copy served
+// with the app) is read from the static directory. Only CSV is read here; the browser
+// converts XLSX downloads with SheetJS.
+async function fetchTable(url, fetch) {
+    const pathname = url.split('?')[0];
+    if (!/\.csv$/i.test(pathname)) {
+        throw new Error('Scheduled reports can only read the Dublin Port statistics as CSV');
+    }
+    if (/^https?:\/\//i.test(url)) return tableFromMatrix(parseCSV(await fetch(url)));
+
+    const filePath = path.join(SERVER_CONFIG.staticDir, pathname);
+    if (!filePath.startsWith(SERVER_CONFIG.staticDir + path.sep)) {
+        throw new Error('The Dublin Port statistics path is outside the app');
+    }
+    return tableFromMatrix(parseCSV(await fs.promises.readFile(filePath, 'utf8')));
+}
+
+// Every source is fetched in parallel, for the dashboard's default date range. One that
+// fails or is disabled is reported with its error, and has no data, rather than failing
+// the report.
+async function fetchPublicData({
+    now = new Date(),
+    fetch = fetchText,
+    overrides = SERVER_CONFIG.reports.publicData.endpointOverrides
+} = {}) {
+    const range = getDefaultDateRange(now);
+
+    const entries = await Promise.all(Object.entries(PUBLIC_DATA_SOURCES).map(async ([id, source]) => {
+        const entry = { id, name: source.name, description: source.description, data: null, period: null, fetchedAt: null, error: null };
+        try {
+            const config = resolveSourceConfig(id, overrides);
+            if (config.enabled === false) {
+                entry.error = 'Disabled in the endpoint configuration';
+                return [id, entry];
+            }
+
+            const url = source.buildUrl ? source.buildUrl(config, range) : resolveSourceUrl(config);
+            const payload = id === 'dublinPort' ? await fetchTable(url, fetch) : await fetchJson(url, fetch);
+            entry.data = source.parse(payload, range);
+            entry.period = source.referencePeriod(entry.data);
+            entry.fetchedAt = new Date();
+        } catch (error) {
+            console.warn(`⚠️ Public data source ${id} failed:`, error.message);
+            entry.error = error.message;
+        }
+        return [id, entry];
+    }));
+    return Object.fromEntries(entries);
+}
+
+let cachedFetch = null;
+
+// fetchPublicData, reusing a recent fetch unless every source failed in it
+async function getPublicData(now = Date.now()) {
+    if (!cachedFetch || now - cachedFetch.startedAt > PUBLIC_DATA_MAX_AGE) {
+        cachedFetch = { startedAt: now, promise: fetchPublicData() };
+    }
+    const fetched = cachedFetch;
+    const sources = await fetched.promise;
+    if (Object.values(sources).every(source => source.error) && cachedFetch === fetched) cachedFetch = null;
+    return sources;
+}
+
+module.exports = { fetchPublicData, getPublicData };
@@ -0,0 +1,52 @@
+// Rate Limiting
+// Fixed-window counters kept in memory, keyed by whatever the caller chooses
+// (an email address, a client IP). Counters reset when the server restarts.
+class RateLimiter {
+    constructor({ windowMs, max }) {
+        this.windowMs = windowMs;
+        this.max = max;
+        this.hits = new Map();
+    }
+
+    // Records an attempt; returns { allowed, retryAfter } with retryAfter in seconds
+    hit(key) {
+        const now = Date.now();
+        const entry = this.hits.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            this.hits.set(key, { count: 1, resetAt: now + this.windowMs });
+            this.prune(now);
+            return { allowed: true, retryAfter: 0 };
+        }
+
+        entry.count++;
+        return {
+            allowed: entry.count <= this.max,
+            retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+        };
+    }
+
+    // The current state for key without recording an attempt, for limits that only count
+    // some outcomes (failed sign-ins)
+    peek(key) {
+        const now = Date.now();
+        const entry = this.hits.get(key);
+        if (!entry || entry.resetAt <= now) return { allowed: true, retryAfter: 0 };
+        return {
+            allowed: entry.count < this.max,
+            retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+        };
+    }
+
+    prune(now) {
+        this.hits.forEach((entry, key) => {
+            if (entry.resetAt <= now) this.hits.delete(key);
+        });
+    }
+}
+
+function getClientIp(req) {
+    return req.socket.remoteAddress || 'unknown';
+}
+
+module.exports = { RateLimiter, getClientIp };
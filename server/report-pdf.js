@@ -0,0 +1,424 @@
+// Report PDFs
+// Renders the report documents the browser builds (ReportDocument in app.js) as A4 PDFs for
+// scheduled emails, in the same layout as the browser's PdfReport: optional cover and
+// contents pages, headings, paragraphs, bullets, tables that repeat their header row after
+// a page break, and a running header and "Page x of y" footer. There is no chart renderer
+// here, so a chart is printed as a table of its data. Text uses the standard Helvetica
+// fonts with WinAnsi encoding, so nothing needs embedding.
+const zlib = require('zlib');
+
+const POINTS_PER_MM = 72 / 25.4;
+const PAGE_SIZE = { width: 210, height: 297 };
+
+const PDF_STYLE = {
+    margin: 20,
+    headerHeight: 14,
+    footerHeight: 14,
+    lineHeight: 0.42, // mm per point of font size
+    colors: {
+        primary: [0, 73, 144],
+        text: [33, 33, 33],
+        muted: [110, 110, 110],
+        rule: [210, 214, 220],
+        tableHeader: [232, 239, 247],
+        warning: [168, 75, 47],
+        white: [255, 255, 255]
+    }
+};
+
+// Advance widths (1/1000 em) of characters 32-126, from the Helvetica AFM files
+const CHARACTER_WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// WinAnsi codes and widths of the characters outside Latin-1 that reports use; other
+// Latin-1 characters keep their own code and are measured as an average letter
+const WIN_ANSI_EXTRAS = {
+    '€': [0x80, 556], '…': [0x85, 1000], '‘': [0x91, 222], '’': [0x92, 222], '“': [0x93, 333],
+    '”': [0x94, 333], '•': [0x95, 350], '–': [0x96, 556], '—': [0x97, 1000]
+};
+
+// The standard PDF fonts only cover Latin-1 plus a few symbols
+function cleanText(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/→/g, '->')
+        .replace(/[^\x20-\x7e\xa0-\xff€–—‘’“”•…]/g, '');
+}
+
+function characterWidth(character, font) {
+    const code = character.charCodeAt(0);
+    if (code >= 32 && code <= 126) return CHARACTER_WIDTHS[font][code - 32];
+    return WIN_ANSI_EXTRAS[character] ? WIN_ANSI_EXTRAS[character][1] : 556;
+}
+
+function encodeWinAnsi(text) {
+    return Buffer.from([...text].map(character =>
+        WIN_ANSI_EXTRAS[character] ? WIN_ANSI_EXTRAS[character][0] : character.charCodeAt(0))).toString('hex');
+}
+
+// PDF text string for document metadata (UTF-16BE with a byte order mark)
+function encodeTextString(text) {
+    const utf16 = Buffer.from(`\ufeff${text}`, 'utf16le');
+    utf16.swap16();
+    return `<${utf16.toString('hex')}>`;
+}
+
+function formatNumber(value) {
+    return Number(value.toFixed(4)).toString();
+}
+
+function formatColor(color) {
+    return color.map(channel => formatNumber(channel / 255)).join(' ');
+}
+
+// Drawing surface in millimetres from the top-left corner, like jsPDF
+class PdfCanvas {
+    constructor() {
+        this.pages = [];
+        this.page = null;
+    }
+
+    addPage() {
+        this.page = { operations: [], links: [] };
+        this.pages.push(this.page);
+    }
+
+    setPage(pageNumber) {
+        this.page = this.pages[pageNumber - 1];
+    }
+
+    get pageCount() {
+        return this.pages.length;
+    }
+
+    textWidth(text, font, size) {
+        return [...text].reduce((width, character) => width + characterWidth(character, font), 0) * size / 1000 / POINTS_PER_MM;
+    }
+
+    // Greedy word wrap in one pass over the characters, keeping a running line width;
+    // words longer than the width are broken across lines
+    wrap(text, width, font, size) {
+        const scale = size / 1000 / POINTS_PER_MM;
+        const spaceWidth = characterWidth(' ', font) * scale;
+        const lines = [];
+        cleanText(text).split('\n').forEach(paragraph => {
+            let line = '';
+            let lineWidth = 0;
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const widths = [...word].map(character => characterWidth(character, font) * scale);
+                const wordWidth = widths.reduce((sum, characterSize) => sum + characterSize, 0);
+                if (line && lineWidth + spaceWidth + wordWidth <= width) {
+                    line += ` ${word}`;
+                    lineWidth += spaceWidth + wordWidth;
+                    return;
+                }
+                if (line) lines.push(line);
+                line = '';
+                lineWidth = 0;
+                [...word].forEach((character, index) => {
+                    if (line && lineWidth + widths[index] > width) {
+                        lines.push(line);
+                        line = '';
+                        lineWidth = 0;
+                    }
+                    line += character;
+                    lineWidth += widths[index];
+                });
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    text(text, x, y, { font = 'regular', size = 10, color = PDF_STYLE.colors.text, align = 'left' } = {}) {
+        const value = cleanText(text);
+        const left = align === 'right' ? x - this.textWidth(value, font, size) : x;
+        this.page.operations.push(
+            `BT /${font === 'bold' ? 'F2' : 'F1'} ${formatNumber(size)} Tf ${formatColor(color)} rg ` +
+            `${formatNumber(left * POINTS_PER_MM)} ${formatNumber((PAGE_SIZE.height - y) * POINTS_PER_MM)} Td <${encodeWinAnsi(value)}> Tj ET`
+        );
+    }
+
+    rect(x, y, width, height, color) {
+        this.page.operations.push(
+            `${formatColor(color)} rg ${formatNumber(x * POINTS_PER_MM)} ${formatNumber((PAGE_SIZE.height - y - height) * POINTS_PER_MM)} ` +
+            `${formatNumber(width * POINTS_PER_MM)} ${formatNumber(height * POINTS_PER_MM)} re f`
+        );
+    }
+
+    line(x1, y1, x2, y2, color) {
+        this.page.operations.push(
+            `${formatColor(color)} RG 0.57 w ${formatNumber(x1 * POINTS_PER_MM)} ${formatNumber((PAGE_SIZE.height - y1) * POINTS_PER_MM)} m ` +
+            `${formatNumber(x2 * POINTS_PER_MM)} ${formatNumber((PAGE_SIZE.height - y2) * POINTS_PER_MM)} l S`
+        );
+    }
+
+    // Clickable area that jumps to another page
+    link(x, y, width, height, pageNumber) {
+        this.page.links.push({ rect: [x, PAGE_SIZE.height - y - height, x + width, PAGE_SIZE.height - y].map(value => value * POINTS_PER_MM), pageNumber });
+    }
+
+    // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its
+    // content stream for each page
+    toBuffer({ title }) {
+        const pageObject = index => 6 + index * 2;
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${this.pages.map((page, index) => `${pageObject(index)} 0 R`).join(' ')}] /Count ${this.pages.length} >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+            `<< /Title ${encodeTextString(title)} /Producer (Ireland Supply Chain Pulse) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`
+        ];
+
+        this.pages.forEach((page, index) => {
+            const annotations = page.links.map(link =>
+                `<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(formatNumber).join(' ')}] /Border [0 0 0] /Dest [${pageObject(link.pageNumber - 1)} 0 R /Fit] >>`);
+            objects.push(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(PAGE_SIZE.width * POINTS_PER_MM)} ${formatNumber(PAGE_SIZE.height * POINTS_PER_MM)}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageObject(index) + 1} 0 R` +
+                `${annotations.length ? ` /Annots [${annotations.join(' ')}]` : ''} >>`
+            );
+            objects.push(zlib.deflateSync(Buffer.from(page.operations.join('\n'), 'latin1')));
+        });
+
+        const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+        const offsets = [];
+        let length = chunks[0].length;
+        objects.forEach((object, index) => {
+            const body = Buffer.isBuffer(object)
+                ? Buffer.concat([Buffer.from(`<< /Length ${object.length} /Filter /FlateDecode >>\nstream\n`), object, Buffer.from('\nendstream')])
+                : Buffer.from(object, 'latin1');
+            const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+            offsets.push(length);
+            chunks.push(chunk);
+            length += chunk.length;
+        });
+
+        chunks.push(Buffer.from([
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+            'startxref',
+            String(length),
+            '%%EOF'
+        ].join('\n')));
+        return Buffer.concat(chunks);
+    }
+}
+
+class ReportLayout {
+    constructor(title, { footer }) {
+        this.canvas = new PdfCanvas();
+        this.title = title;
+        this.footer = footer;
+        this.contentWidth = PAGE_SIZE.width - PDF_STYLE.margin * 2;
+        this.sections = [];
+        this.coverPage = null;
+        this.contentsPage = null;
+        this.canvas.addPage();
+        this.y = this.top;
+    }
+
+    get top() {
+        return PDF_STYLE.margin + PDF_STYLE.headerHeight;
+    }
+
+    get bottom() {
+        return PAGE_SIZE.height - PDF_STYLE.margin - PDF_STYLE.footerHeight;
+    }
+
+    addPage() {
+        this.canvas.addPage();
+        this.y = this.top;
+    }
+
+    ensureSpace(height) {
+        if (this.y + height > this.bottom && this.y > this.top) this.addPage();
+    }
+
+    lineHeight(size) {
+        return size * PDF_STYLE.lineHeight;
+    }
+
+    cover({ subtitle = '', details = [] }) {
+        this.coverPage = this.canvas.pageCount;
+        this.canvas.rect(0, 0, PAGE_SIZE.width, 70, PDF_STYLE.colors.primary);
+        this.canvas.text('Ireland Supply Chain Pulse', PDF_STYLE.margin, 30, { size: 12, color: PDF_STYLE.colors.white });
+        this.canvas.wrap(this.title, this.contentWidth, 'bold', 26).forEach((line, index) => {
+            this.canvas.text(line, PDF_STYLE.margin, 48 + index * 11, { font: 'bold', size: 26, color: PDF_STYLE.colors.white });
+        });
+
+        this.y = 90;
+        if (subtitle) this.paragraph(subtitle, { size: 14, spaceAfter: 8 });
+        details.forEach(detail => this.paragraph(detail, { tone: 'muted', spaceAfter: 1.5 }));
+        this.addPage();
+    }
+
+    contents() {
+        this.contentsPage = this.canvas.pageCount;
+        this.addPage();
+    }
+
+    heading(text, level = 1, { keepWith = 18 } = {}) {
+        const size = level === 1 ? 16 : 12.5;
+        const spaceBefore = this.y > this.top ? (level === 1 ? 6 : 4) : 0;
+        this.ensureSpace(spaceBefore + this.lineHeight(size) + keepWith);
+        this.y += spaceBefore;
+        this.sections.push({ text, level, page: this.canvas.pageCount });
+
+        const color = level === 1 ? PDF_STYLE.colors.primary : PDF_STYLE.colors.text;
+        this.canvas.wrap(text, this.contentWidth, 'bold', size).forEach(line => {
+            this.y += this.lineHeight(size);
+            this.canvas.text(line, PDF_STYLE.margin, this.y, { font: 'bold', size, color });
+        });
+        this.y += level === 1 ? 4 : 2.5;
+    }
+
+    paragraph(text, { size = 10.5, style = 'normal', tone = 'text', spaceAfter = 3 } = {}) {
+        const font = style === 'bold' ? 'bold' : 'regular';
+        this.canvas.wrap(text, this.contentWidth, font, size).forEach(line => {
+            this.ensureSpace(this.lineHeight(size) + 1);
+            this.y += this.lineHeight(size);
+            this.canvas.text(line, PDF_STYLE.margin, this.y, { font, size, color: PDF_STYLE.colors[tone] || PDF_STYLE.colors.text });
+        });
+        this.y += spaceAfter;
+    }
+
+    bullets(items, options = {}) {
+        items.forEach(item => this.paragraph(`• ${item}`, { spaceAfter: 1, ...options }));
+        this.y += 2;
+    }
+
+    table(columns, rows, { size = 9 } = {}) {
+        const padding = 1.8;
+        const totalWidth = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+        const widths = columns.map(column => this.contentWidth * (column.width || 1) / totalWidth);
+        const lineHeight = this.lineHeight(size);
+
+        const layoutRow = (cells, font) => {
+            const lines = cells.map((cell, index) => this.canvas.wrap(cell, widths[index] - padding * 2, font, size));
+            return { lines, font, height: Math.max(...lines.map(cellLines => cellLines.length)) * lineHeight + padding * 2 };
+        };
+
+        const drawRow = ({ lines, font, height }) => {
+            if (font === 'bold') this.canvas.rect(PDF_STYLE.margin, this.y, this.contentWidth, height, PDF_STYLE.colors.tableHeader);
+
+            let x = PDF_STYLE.margin;
+            lines.forEach((cellLines, index) => {
+                const alignRight = columns[index].align === 'right';
+                cellLines.forEach((line, lineIndex) => {
+                    const textY = this.y + padding + lineHeight * (lineIndex + 0.8);
+                    this.canvas.text(line, alignRight ? x + widths[index] - padding : x + padding, textY, { font, size, align: alignRight ? 'right' : 'left' });
+                });
+                x += widths[index];
+            });
+
+            this.y += height;
+            this.canvas.line(PDF_STYLE.margin, this.y, PDF_STYLE.margin + this.contentWidth, this.y, PDF_STYLE.colors.rule);
+        };
+
+        const header = layoutRow(columns.map(column => column.label), 'bold');
+        this.ensureSpace(header.height + (rows.length ? layoutRow(rows[0], 'regular').height : 0));
+        drawRow(header);
+
+        rows.forEach(cells => {
+            const row = layoutRow(cells, 'regular');
+            if (this.y + row.height > this.bottom) {
+                this.addPage();
+                drawRow(header);
+            }
+            drawRow(row);
+        });
+        this.y += 5;
+    }
+
+    // Charts the report didn't tabulate itself are printed as their data, one row per label
+    chart({ caption, data }) {
+        if (!data) return;
+        const format = value => value === null || value === undefined ? 'n/a' : value.toLocaleString('en-IE', { maximumFractionDigits: 2 });
+        this.table(
+            [{ label: '', width: 2 }, ...data.datasets.map(dataset => ({ label: dataset.label, align: 'right' }))],
+            data.labels.map((label, index) => [label, ...data.datasets.map(dataset => format(dataset.data[index]))])
+        );
+        this.y -= 3;
+        if (caption) this.paragraph(caption, { size: 8.5, tone: 'muted' });
+        this.y += 2;
+    }
+
+    drawContents() {
+        this.canvas.setPage(this.contentsPage);
+        this.canvas.text('Contents', PDF_STYLE.margin, this.top + this.lineHeight(16), { font: 'bold', size: 16, color: PDF_STYLE.colors.primary });
+
+        let y = this.top + this.lineHeight(16) + 8;
+        this.sections.forEach(({ text, level, page }) => {
+            const size = level === 1 ? 11 : 10;
+            const font = level === 1 ? 'bold' : 'regular';
+            const indent = level === 1 ? 0 : 6;
+            if (level === 1) y += 2;
+            const [line] = this.canvas.wrap(text, this.contentWidth - indent - 15, font, size);
+            this.canvas.text(line, PDF_STYLE.margin + indent, y, { font, size });
+            this.canvas.text(String(page), PAGE_SIZE.width - PDF_STYLE.margin, y, { font, size, align: 'right' });
+            this.canvas.link(PDF_STYLE.margin, y - this.lineHeight(size), this.contentWidth, this.lineHeight(size) + 1, page);
+            y += this.lineHeight(size) + 2.5;
+        });
+    }
+
+    finish() {
+        const pageCount = this.canvas.pageCount;
+        if (this.contentsPage) this.drawContents();
+
+        for (let page = 1; page <= pageCount; page++) {
+            if (page === this.coverPage) continue;
+            this.canvas.setPage(page);
+            const style = { size: 8.5, color: PDF_STYLE.colors.muted };
+            this.canvas.text('Ireland Supply Chain Pulse', PDF_STYLE.margin, PDF_STYLE.margin, style);
+            this.canvas.text(this.title, PAGE_SIZE.width - PDF_STYLE.margin, PDF_STYLE.margin, { ...style, align: 'right' });
+            this.canvas.line(PDF_STYLE.margin, PDF_STYLE.margin + 2, PAGE_SIZE.width - PDF_STYLE.margin, PDF_STYLE.margin + 2, PDF_STYLE.colors.rule);
+
+            const footerY = PAGE_SIZE.height - PDF_STYLE.margin;
+            this.canvas.line(PDF_STYLE.margin, footerY - 5, PAGE_SIZE.width - PDF_STYLE.margin, footerY - 5, PDF_STYLE.colors.rule);
+            this.canvas.text(this.footer, PDF_STYLE.margin, footerY, style);
+            this.canvas.text(`Page ${page} of ${pageCount}`, PAGE_SIZE.width - PDF_STYLE.margin, footerY, { ...style, align: 'right' });
+        }
+        return this.canvas.toBuffer({ title: this.title });
+    }
+}
+
+// document: a normalised report document (see normalizeReportDocument in reports.js).
+// note is printed before the content, e.g. when the figures were last loaded.
+function renderReportPdf(document, { footer, note = null }) {
+    const layout = new ReportLayout(document.title, { footer });
+    if (document.cover) layout.cover(document.cover);
+    if (document.contents) layout.contents();
+    if (note) layout.paragraph(note, { size: 9, tone: 'muted', spaceAfter: 4 });
+
+    document.blocks.forEach(block => {
+        if (block.type === 'heading') layout.heading(block.text, block.level, block);
+        else if (block.type === 'paragraph') layout.paragraph(block.text, block);
+        else if (block.type === 'bullets') layout.bullets(block.items, block);
+        else if (block.type === 'table') layout.table(block.columns, block.rows, block);
+        else if (block.type === 'chart') layout.chart(block);
+        else if (block.type === 'pageBreak') layout.addPage();
+    });
+    return layout.finish();
+}
+
+module.exports = { renderReportPdf, PdfCanvas };
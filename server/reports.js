@@ -0,0 +1,509 @@
+// Scheduled Reports
+// Users schedule any report the app offers as a daily, weekly or monthly email to a list
+// of recipients, as a PDF or CSV. At each run the ReportScheduler builds the dashboard and
+// case-study reports from the public sources, fetched then (live-reports.js), renders them,
+// emails them and records the delivery. The upload analysis report depends on a file that
+// only the browser has, so the browser uploads its latest version (ReportDocument in
+// app.js) as a snapshot and that is what is sent. Reports only go to the verified addresses
+// of the user and their workspace's members, checked when a schedule is saved and again at
+// each send. Runs missed while the server was down are sent once at the next check, not
+// once per missed run.
+const { HttpError } = require('./http');
+const { randomId } = require('./auth');
+const { SERVER_CONFIG } = require('./config');
+const { FEATURES, hasFeature } = require('./entitlements');
+const { EMAIL_PATTERN, findUserById } = require('./users');
+const { findWorkspaceForUser, getMemberIds } = require('./workspaces');
+const { sendScheduledReportEmail } = require('./emails');
+const { renderReportPdf } = require('./report-pdf');
+const { getPublicData } = require('./public-data');
+const { LIVE_REPORT_BUILDERS } = require('./live-reports');
+
+// The same ids as REPORT_TYPES in app.js
+const REPORT_TYPES = {
+    dashboard: 'Live Dashboard Report',
+    uploadAnalysis: 'Upload Analysis Report',
+    caseStudies: 'SME Case Studies'
+};
+// Reports sent from the copy the browser saves; the others are built at each run
+const SNAPSHOT_REPORT_TYPES = Object.keys(REPORT_TYPES).filter(reportType => !LIVE_REPORT_BUILDERS[reportType]);
+const REPORT_FORMATS = {
+    pdf: { extension: 'pdf', contentType: 'application/pdf' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+const REPORT_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+// Scheduling is part of the reporting feature on paid plans
+const SCHEDULED_REPORTS_FEATURE = 'advancedReports';
+
+const MAX_SCHEDULES_PER_USER = 10;
+const MAX_RECIPIENTS = 10;
+// Delivery history kept per user, oldest dropped first
+const MAX_DELIVERIES_PER_USER = 100;
+
+// Size limits for uploaded report documents
+const DOCUMENT_LIMITS = { blocks: 1000, text: 5000, items: 200, columns: 12, rows: 5000, labels: 500 };
+const PARAGRAPH_TONES = ['text', 'muted', 'warning'];
+
+function invalidDocument(message) {
+    return new HttpError(400, message, 'INVALID_REPORT_DOCUMENT');
+}
+
+function cleanString(value, maxLength = DOCUMENT_LIMITS.text) {
+    return String(value === null || value === undefined ? '' : value).slice(0, maxLength);
+}
+
+function cleanList(value, limit, label) {
+    if (!Array.isArray(value)) throw invalidDocument(`${label} must be a list.`);
+    if (value.length > limit) throw invalidDocument(`${label} can have at most ${limit} entries.`);
+    return value;
+}
+
+function cleanNumber(value, min, max, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+const BLOCK_NORMALIZERS = {
+    heading: block => ({
+        text: cleanString(block.text, 300),
+        level: block.level === 2 ? 2 : 1,
+        keepWith: cleanNumber(block.keepWith, 0, 250, 18)
+    }),
+    paragraph: block => ({
+        text: cleanString(block.text),
+        size: cleanNumber(block.size, 6, 18, 10.5),
+        style: block.style === 'bold' ? 'bold' : 'normal',
+        tone: PARAGRAPH_TONES.includes(block.tone) ? block.tone : 'text'
+    }),
+    bullets: block => ({
+        items: cleanList(block.items, DOCUMENT_LIMITS.items, 'Bullet items').map(item => cleanString(item)),
+        size: cleanNumber(block.size, 6, 18, 10.5)
+    }),
+    table: block => {
+        const columns = cleanList(block.columns, DOCUMENT_LIMITS.columns, 'Table columns').map(column => ({
+            label: cleanString(column && column.label, 200),
+            width: cleanNumber(column && column.width, 0.1, 10, 1),
+            align: column && column.align === 'right' ? 'right' : 'left'
+        }));
+        if (!columns.length) throw invalidDocument('Tables need at least one column.');
+        const rows = cleanList(block.rows, DOCUMENT_LIMITS.rows, 'Table rows')
+            .map(row => columns.map((column, index) => cleanString(Array.isArray(row) ? row[index] : '', 1000)));
+        return { columns, rows, size: cleanNumber(block.size, 6, 14, 9) };
+    },
+    chart: block => {
+        const chart = { caption: cleanString(block.caption, 300), data: null };
+        if (block.data) {
+            const labels = cleanList(block.data.labels, DOCUMENT_LIMITS.labels, 'Chart labels').map(label => cleanString(label, 200));
+            chart.data = {
+                labels,
+                datasets: cleanList(block.data.datasets, DOCUMENT_LIMITS.columns - 1, 'Chart datasets').map(dataset => ({
+                    label: cleanString(dataset && dataset.label, 200),
+                    data: labels.map((label, index) => {
+                        const value = dataset && Array.isArray(dataset.data) ? dataset.data[index] : null;
+                        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+                    })
+                }))
+            };
+        }
+        return chart;
+    },
+    pageBreak: () => ({})
+};
+
+// Copies a report document from the browser, keeping only known blocks and options and
+// enforcing the size limits
+function normalizeReportDocument(input) {
+    if (!input || typeof input !== 'object') throw invalidDocument('A report document is required.');
+    const title = cleanString(input.title, 200).trim();
+    if (!title) throw invalidDocument('The report needs a title.');
+
+    const cover = input.cover && typeof input.cover === 'object'
+        ? {
+            subtitle: cleanString(input.cover.subtitle, 300),
+            details: cleanList(input.cover.details || [], 10, 'Cover details').map(detail => cleanString(detail, 1000))
+        }
+        : null;
+
+    const blocks = cleanList(input.blocks, DOCUMENT_LIMITS.blocks, 'Report blocks').map(block => {
+        const normalize = block && BLOCK_NORMALIZERS[block.type];
+        if (!normalize) throw invalidDocument(`Unknown report block "${block && block.type}".`);
+        return { type: block.type, ...normalize(block) };
+    });
+
+    return { title, cover, contents: Boolean(input.contents), blocks };
+}
+
+// Quotes where needed, and defuses values a spreadsheet would run as a formula (plain
+// signed numbers such as -1.2% are left alone)
+function csvCell(value) {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = /^[=+\-@\t\r]/.test(raw) && !/^[+-]?\d[\d,.]*%?$/.test(raw) ? `'${raw}` : raw;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Every table in the report (and every chart printed as data), each under the heading
+// or caption it belongs to. Starts with a byte order mark so spreadsheets read it as UTF-8.
+function renderReportCsv(document, { note = null } = {}) {
+    const lines = [[document.title], ...(note ? [[note]] : [])];
+    let heading = null;
+
+    const addTable = (title, header, rows) => {
+        lines.push([], [title], header, ...rows);
+    };
+
+    document.blocks.forEach(block => {
+        if (block.type === 'heading') heading = block.text;
+        if (block.type === 'table') {
+            addTable(heading || document.title, block.columns.map(column => column.label), block.rows);
+        }
+        if (block.type === 'chart' && block.data) {
+            addTable(block.caption || heading || 'Chart data', ['', ...block.data.datasets.map(dataset => dataset.label)],
+                block.data.labels.map((label, index) => [label, ...block.data.datasets.map(dataset => dataset.data[index])]));
+        }
+    });
+
+    return Buffer.from(`\ufeff${lines.map(cells => cells.map(csvCell).join(',')).join('\r\n')}\r\n`, 'utf8');
+}
+
+// Schedules run at a whole hour of the owner's local time, so "Monday 08:00" stays 08:00
+// across daylight saving changes
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-IE', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getZonedParts(timestamp, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(new Date(timestamp)).map(part => [part.type, Number(part.value)]));
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+// Timestamp of a local date and hour in a time zone: starts from the same wall-clock time
+// in UTC and corrects by the zone's offset, twice in case the offset changes in between
+function zonedTimeToTimestamp(year, month, day, hour, timeZone) {
+    const target = Date.UTC(year, month - 1, day, hour);
+    let timestamp = target;
+    for (let pass = 0; pass < 2; pass++) {
+        const local = getZonedParts(timestamp, timeZone);
+        timestamp += target - Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+    }
+    return timestamp;
+}
+
+// First run strictly after `after`: weekly schedules have a dayOfWeek (0 = Sunday) and
+// monthly ones a dayOfMonth (1-28, so every month has it)
+function computeNextRun(schedule, after = Date.now()) {
+    const today = getZonedParts(after, schedule.timeZone);
+
+    for (let offset = 0; offset <= 62; offset++) {
+        const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        const matches = schedule.frequency === 'daily'
+            || (schedule.frequency === 'weekly' && date.getUTCDay() === schedule.dayOfWeek)
+            || (schedule.frequency === 'monthly' && date.getUTCDate() === schedule.dayOfMonth);
+        if (!matches) continue;
+
+        const runAt = zonedTimeToTimestamp(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), schedule.hour, schedule.timeZone);
+        if (runAt > after) return runAt;
+    }
+    throw new Error(`No run found for schedule ${schedule.id}`);
+}
+
+// Lower-cased verified addresses of the user and, in a workspace, its members
+function getAllowedRecipients(store, user) {
+    const workspace = findWorkspaceForUser(store, user.id);
+    return (workspace ? getMemberIds(store, workspace.id) : [user.id])
+        .map(userId => findUserById(store, userId))
+        .filter(member => member && member.emailVerified && !member.disabledAt)
+        .map(member => member.email.toLowerCase());
+}
+
+function parseRecipients(value, allowedRecipients) {
+    const entries = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+    const recipients = [];
+    entries.map(entry => String(entry).trim()).filter(Boolean).forEach(email => {
+        if (!EMAIL_PATTERN.test(email) || email.length > 254) {
+            throw new HttpError(400, `"${email.slice(0, 100)}" is not a valid email address.`, 'INVALID_SCHEDULE', { field: 'recipients' });
+        }
+        if (!allowedRecipients.includes(email.toLowerCase())) {
+            throw new HttpError(400, `${email} is not a verified member of your workspace. Reports can only be sent to you and your workspace's members.`, 'RECIPIENT_NOT_ALLOWED', { field: 'recipients' });
+        }
+        if (!recipients.some(recipient => recipient.toLowerCase() === email.toLowerCase())) recipients.push(email);
+    });
+
+    if (!recipients.length) throw new HttpError(400, 'Add at least one recipient.', 'INVALID_SCHEDULE', { field: 'recipients' });
+    if (recipients.length > MAX_RECIPIENTS) {
+        throw new HttpError(400, `A schedule can have at most ${MAX_RECIPIENTS} recipients.`, 'INVALID_SCHEDULE', { field: 'recipients' });
+    }
+    return recipients;
+}
+
+function parseWholeNumber(value, min, max, message, field) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) throw new HttpError(400, message, 'INVALID_SCHEDULE', { field });
+    return number;
+}
+
+// Schedule settings from a create or update request; fields missing from an update keep
+// their current values
+function validateScheduleSettings(body, allowedRecipients, current = {}) {
+    const input = { ...current, ...body };
+    const settings = {};
+
+    if (!REPORT_TYPES[input.reportType]) throw new HttpError(400, 'Choose a report to schedule.', 'INVALID_SCHEDULE', { field: 'reportType' });
+    settings.reportType = input.reportType;
+
+    if (!REPORT_FORMATS[input.format]) throw new HttpError(400, 'Format must be PDF or CSV.', 'INVALID_SCHEDULE', { field: 'format' });
+    settings.format = input.format;
+
+    if (!REPORT_FREQUENCIES.includes(input.frequency)) {
+        throw new HttpError(400, 'Frequency must be daily, weekly or monthly.', 'INVALID_SCHEDULE', { field: 'frequency' });
+    }
+    settings.frequency = input.frequency;
+    settings.dayOfWeek = settings.frequency === 'weekly'
+        ? parseWholeNumber(input.dayOfWeek, 0, 6, 'Choose a day of the week.', 'dayOfWeek')
+        : null;
+    settings.dayOfMonth = settings.frequency === 'monthly'
+        ? parseWholeNumber(input.dayOfMonth, 1, 28, 'Day of the month must be between 1 and 28.', 'dayOfMonth')
+        : null;
+    settings.hour = parseWholeNumber(input.hour, 0, 23, 'Choose a time of day.', 'hour');
+
+    settings.timeZone = input.timeZone || SERVER_CONFIG.reports.defaultTimeZone;
+    if (!isValidTimeZone(settings.timeZone)) throw new HttpError(400, 'Unknown time zone.', 'INVALID_SCHEDULE', { field: 'timeZone' });
+
+    settings.recipients = parseRecipients(input.recipients, allowedRecipients);
+    settings.active = input.active === undefined ? true : Boolean(input.active);
+    return settings;
+}
+
+function publicSchedule(schedule) {
+    const { userId, ...fields } = schedule;
+    return {
+        ...fields,
+        reportName: REPORT_TYPES[schedule.reportType],
+        nextRunAt: schedule.active ? new Date(schedule.nextRunAt).toISOString() : null,
+        lastRunAt: schedule.lastRunAt ? new Date(schedule.lastRunAt).toISOString() : null
+    };
+}
+
+function publicDelivery(delivery) {
+    const { userId, ...fields } = delivery;
+    return { ...fields, reportName: REPORT_TYPES[delivery.reportType] };
+}
+
+function findSnapshot(store, userId, reportType) {
+    return store.collection('reportSnapshots').find(snapshot => snapshot.userId === userId && snapshot.reportType === reportType) || null;
+}
+
+// Replaces the user's saved copy of a report
+function saveReportSnapshot(store, user, reportType, document) {
+    const snapshot = { userId: user.id, reportType, document: normalizeReportDocument(document), savedAt: new Date().toISOString() };
+    store.update(data => {
+        data.reportSnapshots = data.reportSnapshots
+            .filter(existing => existing.userId !== user.id || existing.reportType !== reportType)
+            .concat(snapshot);
+    });
+    return snapshot;
+}
+
+function formatInTimeZone(date, timeZone, options) {
+    return new Date(date).toLocaleString('en-IE', { timeZone, ...options });
+}
+
+function recordDelivery({ store, audit }, user, delivery) {
+    store.update(data => {
+        data.reportDeliveries.push(delivery);
+        const own = data.reportDeliveries.filter(existing => existing.userId === delivery.userId);
+        if (own.length > MAX_DELIVERIES_PER_USER) {
+            const dropped = new Set(own.slice(0, own.length - MAX_DELIVERIES_PER_USER));
+            data.reportDeliveries = data.reportDeliveries.filter(existing => !dropped.has(existing));
+        }
+    });
+
+    audit.record(delivery.status === 'sent' ? 'report.delivered' : 'report.delivery_failed', {
+        user,
+        details: {
+            scheduleId: delivery.scheduleId,
+            reportType: delivery.reportType,
+            format: delivery.format,
+            recipients: delivery.recipients.length,
+            trigger: delivery.trigger,
+            ...(delivery.error ? { error: delivery.error } : {})
+        }
+    });
+    console.log(`${delivery.status === 'sent' ? '📨' : '⚠️'} Scheduled report ${delivery.scheduleId} ${delivery.status}${delivery.error ? `: ${delivery.error}` : ''}`);
+    return delivery;
+}
+
+// Builds the report from the public sources, or takes the user's latest saved copy, and
+// emails it to the schedule's recipients. Problems are recorded on the delivery, worded
+// for the user, rather than thrown.
+async function deliverReport(context, schedule, { trigger }) {
+    const { store } = context;
+    const user = findUserById(store, schedule.userId);
+    const buildLiveReport = LIVE_REPORT_BUILDERS[schedule.reportType];
+    const snapshot = buildLiveReport ? null : findSnapshot(store, schedule.userId, schedule.reportType);
+    const reportName = REPORT_TYPES[schedule.reportType];
+    const allowedRecipients = user ? getAllowedRecipients(store, user) : [];
+    const delivery = {
+        id: randomId('dlv_'),
+        scheduleId: schedule.id,
+        userId: schedule.userId,
+        reportType: schedule.reportType,
+        format: schedule.format,
+        // Members who left the workspace or changed address since the schedule was saved are dropped
+        recipients: schedule.recipients.filter(email => allowedRecipients.includes(email.toLowerCase())),
+        trigger,
+        status: 'failed',
+        error: null,
+        fileName: null,
+        size: null,
+        snapshotAt: snapshot ? snapshot.savedAt : null,
+        createdAt: new Date().toISOString()
+    };
+
+    if (!user || user.disabledAt) {
+        delivery.error = 'The account is disabled.';
+    } else if (!hasFeature(store, user, SCHEDULED_REPORTS_FEATURE)) {
+        delivery.error = `${FEATURES[SCHEDULED_REPORTS_FEATURE]} is no longer included in your plan.`;
+    } else if (!delivery.recipients.length) {
+        delivery.error = 'None of the recipients is still a verified member of your workspace. Edit the schedule to add recipients.';
+    } else if (!buildLiveReport && !snapshot) {
+        delivery.error = 'No copy of this report has been saved yet. Open the app with the file loaded so it can save one.';
+    }
+    if (delivery.error) return recordDelivery(context, user, delivery);
+
+    const figuresTime = date => formatInTimeZone(date, schedule.timeZone, { dateStyle: 'medium', timeStyle: 'short' });
+    let document;
+    let note;
+    let figuresNote;
+    if (buildLiveReport) {
+        const sources = await getPublicData();
+        if (Object.values(sources).every(source => source.error)) {
+            delivery.error = 'None of the public data sources could be reached. The report will be sent at its next run.';
+            return recordDelivery(context, user, delivery);
+        }
+        try {
+            document = normalizeReportDocument(buildLiveReport(sources, { timeZone: schedule.timeZone }));
+        } catch (error) {
+            console.error(`❌ Could not build scheduled report ${schedule.id}:`, error);
+            delivery.error = 'The report could not be generated.';
+            return recordDelivery(context, user, delivery);
+        }
+        const retrievedTime = figuresTime(Date.now());
+        note = `Figures retrieved from the public sources on ${retrievedTime} (${schedule.timeZone}).`;
+        figuresNote = `The figures were retrieved from the public sources on ${retrievedTime}.`;
+    } else {
+        const snapshotTime = figuresTime(snapshot.savedAt);
+        document = snapshot.document;
+        note = `Figures as last loaded in the app on ${snapshotTime} (${schedule.timeZone}).`;
+        figuresNote = `The figures are as last loaded in the app on ${snapshotTime}.`;
+    }
+
+    const format = REPORT_FORMATS[schedule.format];
+    const sentDate = formatInTimeZone(Date.now(), schedule.timeZone, { dateStyle: 'medium' });
+    delivery.fileName = `${reportName.replace(/\W+/g, '_')}_${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+
+    let content;
+    try {
+        content = schedule.format === 'pdf'
+            ? renderReportPdf(document, { footer: `Sent ${sentDate} | supplieriq.co`, note })
+            : renderReportCsv(document, { note });
+    } catch (error) {
+        console.error(`❌ Could not render scheduled report ${schedule.id}:`, error);
+        delivery.error = 'The report could not be generated.';
+        return recordDelivery(context, user, delivery);
+    }
+    delivery.size = content.length;
+
+    try {
+        await sendScheduledReportEmail(context, {
+            user,
+            schedule,
+            recipients: delivery.recipients,
+            reportName,
+            figuresNote,
+            subject: `${reportName} - ${sentDate}`,
+            attachment: { filename: delivery.fileName, contentType: format.contentType, content }
+        });
+        delivery.status = 'sent';
+    } catch (error) {
+        console.error(`❌ Could not email scheduled report ${schedule.id}:`, error);
+        delivery.error = 'The email could not be sent.';
+    }
+    return recordDelivery(context, user, delivery);
+}
+
+// Checks for due schedules every interval. Each schedule's next run is set before it is
+// sent, so a report that fails waits for its next run instead of retrying every check.
+class ReportScheduler {
+    constructor(context, { interval }) {
+        this.context = context;
+        this.interval = interval;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.runDueReports(), this.interval);
+        // Don't keep the process alive just for the scheduler
+        this.timer.unref();
+        this.runDueReports();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async runDueReports(now = Date.now()) {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const { store } = this.context;
+            const due = store.collection('reportSchedules').filter(schedule => schedule.active && schedule.nextRunAt <= now);
+            for (const schedule of due) {
+                store.update(() => {
+                    schedule.lastRunAt = now;
+                    schedule.nextRunAt = computeNextRun(schedule, now);
+                });
+                await deliverReport(this.context, schedule, { trigger: 'schedule' });
+            }
+        } catch (error) {
+            console.error('❌ Scheduled report run failed:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = {
+    REPORT_TYPES,
+    REPORT_FORMATS,
+    REPORT_FREQUENCIES,
+    SNAPSHOT_REPORT_TYPES,
+    SCHEDULED_REPORTS_FEATURE,
+    MAX_SCHEDULES_PER_USER,
+    normalizeReportDocument,
+    renderReportCsv,
+    computeNextRun,
+    getAllowedRecipients,
+    validateScheduleSettings,
+    publicSchedule,
+    publicDelivery,
+    findSnapshot,
+    saveReportSnapshot,
+    deliverReport,
+    ReportScheduler
+};
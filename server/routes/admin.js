@@ -0,0 +1,94 @@
+// Admin API: every account with its plan and usage, account changes, and data-source health
+const { HttpError } = require('../http');
+const { SUBSCRIPTION_TIERS, isAdmin, findUserById, updateUser } = require('../users');
+const { getEffectiveTier, getMonthBounds } = require('../entitlements');
+const { findWorkspaceForUser } = require('../workspaces');
+const { recordSourceEvents, getSourceHistory } = require('../source-health');
+
+function adminUser(store, billing, user) {
+    const { start, end } = getMonthBounds();
+    const uploads = store.collection('uploads').filter(upload => upload.userId === user.id);
+    const workspace = findWorkspaceForUser(store, user.id);
+    const subscription = billing.getLiveSubscription(user.id);
+
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        emailVerified: Boolean(user.emailVerified),
+        subscriptionTier: user.subscriptionTier || null,
+        // Differs from subscriptionTier for members of someone else's workspace
+        effectiveTier: getEffectiveTier(store, user),
+        subscriptionStatus: subscription ? subscription.status : null,
+        workspace: workspace ? workspace.name : null,
+        isAdmin: isAdmin(user),
+        createdAt: user.createdAt,
+        disabledAt: user.disabledAt || null,
+        uploads: {
+            thisMonth: uploads.filter(upload => upload.createdAt >= start && upload.createdAt < end).length,
+            total: uploads.length
+        }
+    };
+}
+
+function registerAdminRoutes(router, context) {
+    const { store, sessions, billing, audit } = context;
+
+    router.add('GET', '/api/admin/users', async () => {
+        const users = store.collection('users')
+            .slice()
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+            .map(user => adminUser(store, billing, user));
+        return { body: { users } };
+    }, { auth: true, admin: true });
+
+    // Sets a tier without payment (e.g. for trials or staff), or disables/re-enables the
+    // account. Paid subscriptions own their tier, so those users are changed through billing.
+    router.add('PATCH', '/api/admin/users/:userId', async ({ req, user: admin, params, body }) => {
+        const user = findUserById(store, params.userId);
+        if (!user) throw new HttpError(404, 'That account no longer exists.', 'NOT_FOUND');
+
+        const updates = {};
+        if (body.subscriptionTier !== undefined) {
+            if (!SUBSCRIPTION_TIERS.includes(body.subscriptionTier)) {
+                throw new HttpError(400, 'Unknown subscription plan.', 'INVALID_PLAN');
+            }
+            if (body.subscriptionTier !== user.subscriptionTier && billing.getLiveSubscription(user.id)) {
+                throw new HttpError(409, 'This user pays for their plan. Their subscription has to be canceled before the plan can be changed here.', 'SUBSCRIPTION_ACTIVE');
+            }
+            updates.subscriptionTier = body.subscriptionTier;
+        }
+
+        if (body.disabled !== undefined) {
+            if (user.id === admin.id) {
+                throw new HttpError(400, "You can't disable your own account.", 'CANNOT_DISABLE_SELF');
+            }
+            updates.disabledAt = body.disabled ? (user.disabledAt || new Date().toISOString()) : null;
+        }
+
+        const previous = { ...user };
+        const updated = updateUser(store, user.id, updates);
+        if (updates.subscriptionTier && updates.subscriptionTier !== previous.subscriptionTier) {
+            audit.record('plan.changed', { user: updated, actor: admin, req, details: { from: previous.subscriptionTier, to: updates.subscriptionTier, via: 'admin' } });
+        }
+        if (updates.disabledAt !== undefined && Boolean(updates.disabledAt) !== Boolean(previous.disabledAt)) {
+            audit.record(updates.disabledAt ? 'account.disabled' : 'account.enabled', { user: updated, actor: admin, req });
+        }
+        if (updates.disabledAt) {
+            sessions.revokeAllForUser(user.id);
+            console.log(`🚫 Disabled account ${user.id}`);
+        }
+
+        return { body: { user: adminUser(store, billing, updated) } };
+    }, { auth: true, admin: true });
+
+    router.add('POST', '/api/source-health/events', async ({ req, user, body }) => {
+        return { status: 202, body: { recorded: recordSourceEvents(context, user, body.events, req) } };
+    }, { auth: true });
+
+    router.add('GET', '/api/admin/source-health', async () => {
+        return { body: { sources: getSourceHistory(store) } };
+    }, { auth: true, admin: true });
+}
+
+module.exports = { registerAdminRoutes };
@@ -0,0 +1,56 @@
+// Audit API: report generation events from the browser, the user's own sign-in
+// activity, and the full log for admins
+const { HttpError } = require('../http');
+const { AUDIT_EVENT_TYPES, SIGN_IN_EVENT_TYPES } = require('../audit');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_AUDIT_RESULTS = 5000;
+
+function parseAuditFilters(query) {
+    const filters = { search: query.search || '' };
+
+    if (query.type) {
+        if (!AUDIT_EVENT_TYPES[query.type]) throw new HttpError(400, 'Unknown event type.', 'INVALID_FILTER');
+        filters.types = [query.type];
+    }
+    ['from', 'to'].forEach(field => {
+        if (!query[field]) return;
+        if (!DATE_PATTERN.test(query[field]) || Number.isNaN(Date.parse(query[field]))) {
+            throw new HttpError(400, 'Dates must be in YYYY-MM-DD format.', 'INVALID_FILTER');
+        }
+        filters[field] = query[field];
+    });
+    filters.limit = Math.min(Math.max(Number(query.limit) || 200, 1), MAX_AUDIT_RESULTS);
+
+    return filters;
+}
+
+function registerAuditRoutes(router, { audit }) {
+    // PDFs are built in the browser, which reports each one here
+    router.add('POST', '/api/reports/generated', async ({ req, user, body }) => {
+        const title = String(body.title || '').trim().slice(0, 200);
+        if (!title) throw new HttpError(400, 'Report title is required.', 'INVALID_REPORT');
+
+        audit.record('report.generated', { user, req, details: { title, fileName: String(body.fileName || '').slice(0, 255) } });
+        return { status: 204 };
+    }, { auth: true });
+
+    router.add('GET', '/api/users/me/sign-ins', async ({ user }) => {
+        const events = audit.query({ types: SIGN_IN_EVENT_TYPES, userId: user.id, limit: 20 })
+            .map(({ type, at, ip, userAgent, details }) => ({
+                type,
+                label: AUDIT_EVENT_TYPES[type],
+                at,
+                ip,
+                userAgent,
+                reason: details.reason || null
+            }));
+        return { body: { events } };
+    }, { auth: true });
+
+    router.add('GET', '/api/admin/audit', async ({ query }) => {
+        return { body: { events: audit.query(parseAuditFilters(query)), types: AUDIT_EVENT_TYPES } };
+    }, { auth: true, admin: true });
+}
+
+module.exports = { registerAuditRoutes };
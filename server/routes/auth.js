@@ -0,0 +1,221 @@
+// Auth API: signup, email verification, login, logout and the current session
+const { HttpError } = require('../http');
+const { hashPassword, verifyPassword, randomId } = require('../auth');
+const { SERVER_CONFIG } = require('../config');
+const { RateLimiter, getClientIp } = require('../rate-limit');
+const { EMAIL_PATTERN, publicUser, requireActiveAccount, validateUsername, findUserByIdentifier, findUserById, userExists, isEmailTaken } = require('../users');
+const {
+    readEmailVerificationToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    consumePasswordResetToken
+} = require('../emails');
+
+// Emails triggered without signing in are limited per address (so nobody can flood an
+// inbox) and per client IP
+const resendByEmail = new RateLimiter({ windowMs: 15 * 60 * 1000, max: 3 });
+const resendByIp = new RateLimiter({ windowMs: 60 * 60 * 1000, max: 10 });
+const resetByEmail = new RateLimiter({ windowMs: 15 * 60 * 1000, max: 3 });
+const resetByIp = new RateLimiter({ windowMs: 60 * 60 * 1000, max: 10 });
+// Failed sign-ins are limited per email/username (password guessing against one account)
+// and per client IP (guessing across accounts); successful ones don't count
+const loginFailuresByIdentifier = new RateLimiter({ windowMs: 15 * 60 * 1000, max: 5 });
+const loginFailuresByIp = new RateLimiter({ windowMs: 60 * 60 * 1000, max: 30 });
+
+function enforceEmailRateLimit(req, email, byEmail, byIp) {
+    const blocked = [byEmail.hit(email), byIp.hit(getClientIp(req))].find(limit => !limit.allowed);
+    if (blocked) {
+        throw new HttpError(429, 'Too many emails requested. Please try again later.', 'RATE_LIMITED', { retryAfter: blocked.retryAfter });
+    }
+}
+
+// Hash compared against when the identifier matches no account, so unknown users
+// take as long to reject as wrong passwords
+let dummyHashPromise = null;
+
+function validateSignup({ username, email, password }) {
+    validateUsername(username);
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+        throw new HttpError(400, 'Please enter a valid email address.', 'INVALID_EMAIL');
+    }
+    validatePassword(password);
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 6) {
+        throw new HttpError(400, 'Password must be at least 6 characters long.', 'INVALID_PASSWORD');
+    }
+}
+
+function registerAuthRoutes(router, context) {
+    const { store, sessions, secret, audit } = context;
+
+    router.add('POST', '/api/auth/signup', async ({ req, body }) => {
+        validateSignup(body);
+        const username = body.username.trim();
+        const email = body.email.trim();
+
+        if (userExists(store, email, username)) {
+            throw new HttpError(409, 'User with this email or username already exists.', 'USER_EXISTS');
+        }
+
+        const user = {
+            id: randomId('user_'),
+            username,
+            email,
+            password: await hashPassword(body.password, SERVER_CONFIG.scrypt),
+            emailVerified: false,
+            subscriptionTier: null,
+            createdAt: new Date().toISOString(),
+            liveDataEnabled: true
+        };
+        store.update(data => data.users.push(user));
+        audit.record('auth.signup', { user, req });
+
+        try {
+            await sendVerificationEmail(context, user);
+        } catch (error) {
+            // The account exists either way; the user can ask for the email again
+            console.error(`❌ Verification email to ${user.email} failed:`, error);
+        }
+
+        return { status: 201, body: { user: publicUser(user) } };
+    });
+
+    // Consumes a verification link: it is signed, expires, is bound to the address it
+    // was sent to, and stops working once that address is verified. A link sent to a
+    // pending new address completes the email change.
+    router.add('POST', '/api/auth/verify-email', async ({ req, body }) => {
+        const payload = readEmailVerificationToken(body.token, secret);
+        const user = payload && findUserById(store, payload.sub);
+        const isSignup = user && user.email === payload.email && !user.emailVerified;
+        const isEmailChange = user && user.pendingEmail && user.pendingEmail === payload.email;
+
+        if (!isSignup && !isEmailChange) {
+            throw new HttpError(400, 'This verification link is invalid, expired or has already been used.', 'INVALID_TOKEN');
+        }
+        if (isEmailChange && isEmailTaken(store, user.pendingEmail, user.id)) {
+            throw new HttpError(409, 'That email address is now used by another account.', 'EMAIL_TAKEN');
+        }
+
+        const previousEmail = user.email;
+        store.update(() => {
+            if (isEmailChange) {
+                user.email = user.pendingEmail;
+                delete user.pendingEmail;
+            }
+            user.emailVerified = true;
+        });
+        audit.record(isEmailChange ? 'account.email_changed' : 'auth.email_verified', {
+            user,
+            req,
+            details: isEmailChange ? { previousEmail } : {}
+        });
+        requireActiveAccount(user);
+
+        return { body: { ...sessions.create(user.id), user: publicUser(user) } };
+    });
+
+    // Always answers the same way, so it can't be used to discover which addresses have accounts
+    router.add('POST', '/api/auth/resend-verification', async ({ req, body }) => {
+        const email = String(body.email || '').trim().toLowerCase();
+        enforceEmailRateLimit(req, email, resendByEmail, resendByIp);
+
+        const user = store.collection('users').find(u => u.email.toLowerCase() === email);
+        if (user && !user.emailVerified) {
+            await sendVerificationEmail(context, user);
+        }
+
+        return { status: 202, body: { message: 'If that address has an unverified account, a new verification email is on its way.' } };
+    });
+
+    router.add('POST', '/api/auth/login', async ({ req, body }) => {
+        const user = findUserByIdentifier(store, body.identifier);
+        const identifierKey = String(body.identifier || '').trim().toLowerCase();
+        const ip = getClientIp(req);
+        const recordFailure = reason => audit.record('auth.login_failed', {
+            user,
+            req,
+            details: { identifier: String(body.identifier || '').slice(0, 254), reason }
+        });
+        const rejectCredentials = reason => {
+            loginFailuresByIdentifier.hit(identifierKey);
+            loginFailuresByIp.hit(ip);
+            recordFailure(reason);
+            return new HttpError(401, 'Invalid credentials. Please check your email/username and password.', 'INVALID_CREDENTIALS');
+        };
+
+        const blocked = [loginFailuresByIdentifier.peek(identifierKey), loginFailuresByIp.peek(ip)].find(limit => !limit.allowed);
+        if (blocked) {
+            recordFailure('rate_limited');
+            throw new HttpError(429, 'Too many failed sign-in attempts. Please try again later.', 'RATE_LIMITED', { retryAfter: blocked.retryAfter });
+        }
+
+        if (!user) {
+            dummyHashPromise = dummyHashPromise || hashPassword('dummy-password', SERVER_CONFIG.scrypt);
+            await verifyPassword(String(body.password || ''), await dummyHashPromise);
+            throw rejectCredentials('unknown_account');
+        }
+
+        if (!(await verifyPassword(String(body.password || ''), user.password))) {
+            throw rejectCredentials('wrong_password');
+        }
+
+        if (!user.emailVerified) {
+            recordFailure('email_not_verified');
+            throw new HttpError(403, 'Please verify your email address before signing in.', 'EMAIL_NOT_VERIFIED', { email: user.email });
+        }
+        if (user.disabledAt) recordFailure('account_disabled');
+        requireActiveAccount(user);
+
+        audit.record('auth.login', { user, req });
+        return { body: { ...sessions.create(user.id), user: publicUser(user) } };
+    });
+
+    // Like resend, answers identically whether or not the account exists
+    router.add('POST', '/api/auth/forgot-password', async ({ req, body }) => {
+        const email = String(body.email || '').trim().toLowerCase();
+        enforceEmailRateLimit(req, email, resetByEmail, resetByIp);
+
+        const user = store.collection('users').find(u => u.email.toLowerCase() === email);
+        if (user) {
+            await sendPasswordResetEmail(context, user);
+        }
+
+        return { status: 202, body: { message: 'If that address has an account, a password reset link is on its way.' } };
+    });
+
+    // Resetting signs the account out everywhere, in case the old password was compromised
+    router.add('POST', '/api/auth/reset-password', async ({ req, body }) => {
+        validatePassword(body.password);
+
+        const reset = body.token ? consumePasswordResetToken(store, body.token) : null;
+        const user = reset && findUserById(store, reset.userId);
+        if (!user) {
+            throw new HttpError(400, 'This reset link is invalid, expired or has already been used.', 'INVALID_TOKEN');
+        }
+
+        const password = await hashPassword(body.password, SERVER_CONFIG.scrypt);
+        store.update(() => {
+            user.password = password;
+            // Receiving the link proves control of the address
+            user.emailVerified = true;
+        });
+        sessions.revokeAllForUser(user.id);
+        audit.record('auth.password_reset', { user, req });
+
+        return { body: { message: 'Your password has been reset. You can now sign in.' } };
+    });
+
+    router.add('POST', '/api/auth/logout', async ({ req, user, session }) => {
+        sessions.revoke(session.id);
+        audit.record('auth.logout', { user, req });
+        return { status: 204 };
+    }, { auth: true });
+
+    router.add('GET', '/api/auth/me', async ({ user, session }) => {
+        return { body: { user: publicUser(user), expiresAt: session.expiresAt, idleTimeout: sessions.idleTimeout } };
+    }, { auth: true });
+}
+
+module.exports = { registerAuthRoutes, validatePassword };
@@ -0,0 +1,111 @@
+// Billing API: checkout, subscription and invoice history, cancellation, and the
+// provider webhook. With the mock provider it also serves the stand-in checkout page
+// and lets a signed-in user simulate renewals.
+const { HttpError } = require('../http');
+const { PLAN_ENTITLEMENTS } = require('../entitlements');
+const { MockBillingProvider } = require('../billing-providers');
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function renderMockCheckoutPage(session) {
+    const plan = PLAN_ENTITLEMENTS[session.tier];
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Test checkout · ${escapeHtml(plan.name)} plan</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #f5f5f5; color: #13343b; display: flex; justify-content: center; padding: 48px 16px; }
+  main { background: #fff; border-radius: 12px; padding: 32px; max-width: 420px; width: 100%; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.08); }
+  .notice { background: #fff4e5; color: #a84b2f; border-radius: 8px; padding: 8px 12px; font-size: 14px; }
+  .price { font-size: 32px; font-weight: 600; margin: 8px 0 24px; }
+  button { width: 100%; padding: 12px; border: 0; border-radius: 8px; font-size: 16px; cursor: pointer; margin-bottom: 8px; }
+  #pay { background: #21808d; color: #fff; }
+  #decline { background: #eee; color: #c0152f; }
+  a { display: block; text-align: center; color: #626c71; margin-top: 8px; }
+</style>
+</head>
+<body>
+<main>
+  <p class="notice">Test mode · no real payment is taken</p>
+  <h1>Ireland Supply Chain Pulse ${escapeHtml(plan.name)}</h1>
+  <p>Billed monthly to ${escapeHtml(session.user.email)}</p>
+  <p class="price">€${plan.price.toFixed(2)} / month</p>
+  <button id="pay" data-outcome="paid">Pay €${plan.price.toFixed(2)}</button>
+  <button id="decline" data-outcome="declined">Simulate declined card</button>
+  <a href="${escapeHtml(session.cancelUrl)}">Cancel and return</a>
+</main>
+<script>
+  document.querySelectorAll('button').forEach(button => button.addEventListener('click', async () => {
+    const response = await fetch(location.pathname, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ outcome: button.dataset.outcome })
+    });
+    const result = await response.json();
+    if (result.redirect) location.href = result.redirect;
+    else alert(result.error || 'Checkout failed');
+  }));
+</script>
+</body>
+</html>`;
+}
+
+function registerBillingRoutes(router, { billing }) {
+    router.add('GET', '/api/billing', async ({ user }) => {
+        return { body: billing.getBillingSummary(user) };
+    }, { auth: true });
+
+    // Returns the provider's hosted checkout URL; the browser redirects there
+    router.add('POST', '/api/billing/checkout', async ({ user, body }) => {
+        if (!user.emailVerified) {
+            throw new HttpError(403, 'Please verify your email before subscribing.', 'EMAIL_NOT_VERIFIED');
+        }
+        const session = await billing.startCheckout(user, body.tier);
+        return { status: 201, body: { url: session.url } };
+    }, { auth: true });
+
+    router.add('POST', '/api/billing/cancel', async ({ user }) => {
+        await billing.cancel(user);
+        return { body: billing.getBillingSummary(user) };
+    }, { auth: true });
+
+    router.add('POST', '/api/billing/webhook', async ({ req, rawBody }) => {
+        await billing.handleWebhook(rawBody, req.headers['stripe-signature']);
+        return { body: { received: true } };
+    });
+
+    if (!(billing.provider instanceof MockBillingProvider)) return;
+    const mock = billing.provider;
+
+    router.add('GET', '/api/billing/mock/checkout/:sessionId', async ({ params }) => {
+        const session = mock.getSession(params.sessionId);
+        if (!session || session.status !== 'open') {
+            return { status: 404, html: '<p>This checkout session has expired. Return to the app and start again.</p>' };
+        }
+        return { html: renderMockCheckoutPage(session) };
+    });
+
+    router.add('POST', '/api/billing/mock/checkout/:sessionId', async ({ params, body }) => {
+        const { redirect } = await mock.completeCheckout(params.sessionId, body.outcome);
+        return { body: { redirect } };
+    });
+
+    // outcome: 'paid', 'failed' (declined renewal) or 'canceled' (retries exhausted)
+    router.add('POST', '/api/billing/mock/renew', async ({ user, body }) => {
+        const subscription = billing.getLiveSubscription(user.id);
+        if (!subscription) {
+            throw new HttpError(404, "You don't have an active paid subscription.", 'NO_SUBSCRIPTION');
+        }
+        if (!['paid', 'failed', 'canceled'].includes(body.outcome)) {
+            throw new HttpError(400, "outcome must be 'paid', 'failed' or 'canceled'.", 'INVALID_OUTCOME');
+        }
+        await mock.renewSubscription(subscription.providerSubscriptionId, body.outcome);
+        return { body: billing.getBillingSummary(user) };
+    }, { auth: true });
+}
+
+module.exports = { registerBillingRoutes };
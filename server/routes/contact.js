@@ -0,0 +1,109 @@
+// Contact API: messages from the Contact page, and the admin inbox that stores them
+const { HttpError } = require('../http');
+const { randomId } = require('../auth');
+const { SERVER_CONFIG } = require('../config');
+const { RateLimiter, getClientIp } = require('../rate-limit');
+const { EMAIL_PATTERN } = require('../users');
+const { sendContactAutoReply, sendContactNotification } = require('../emails');
+
+// Each message also sends an auto-reply, so both the sender's address and the client IP
+// are limited
+const contactByEmail = new RateLimiter({ windowMs: 60 * 60 * 1000, max: 3 });
+const contactByIp = new RateLimiter({ windowMs: 60 * 60 * 1000, max: 5 });
+
+const CONTACT_FIELDS = [
+    { field: 'name', label: 'Name', min: 2, max: 100 },
+    { field: 'subject', label: 'Subject', min: 3, max: 150 },
+    { field: 'message', label: 'Message', min: 10, max: 5000 }
+];
+
+// Returns the trimmed fields, or throws with every problem listed per field
+function validateContactMessage(body) {
+    const fields = {};
+    const errors = {};
+
+    CONTACT_FIELDS.forEach(({ field, label, min, max }) => {
+        const value = String(body[field] || '').trim();
+        if (value.length < min || value.length > max) {
+            errors[field] = `${label} must be between ${min} and ${max} characters.`;
+        }
+        fields[field] = value;
+    });
+
+    fields.email = String(body.email || '').trim();
+    if (!EMAIL_PATTERN.test(fields.email) || fields.email.length > 254) {
+        errors.email = 'Please enter a valid email address.';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, Object.values(errors)[0], 'INVALID_CONTACT_MESSAGE', { fields: errors });
+    }
+    return fields;
+}
+
+function findMessage(store, messageId) {
+    const message = store.collection('contactMessages').find(m => m.id === messageId);
+    if (!message) throw new HttpError(404, 'That message no longer exists.', 'NOT_FOUND');
+    return message;
+}
+
+function registerContactRoutes(router, context) {
+    const { store } = context;
+
+    router.add('POST', '/api/contact', async ({ req, body, user }) => {
+        // Honeypot: a field hidden from people that form-filling bots complete. They get
+        // the normal answer so they can't tell the message was dropped.
+        if (String(body.website || '').trim() !== '') {
+            console.log(`🍯 Dropped contact message caught by the honeypot from ${getClientIp(req)}`);
+            return { status: 202, body: { message: "Thanks for your message. We'll be in touch soon." } };
+        }
+
+        const fields = validateContactMessage(body);
+        const blocked = [contactByEmail.hit(fields.email.toLowerCase()), contactByIp.hit(getClientIp(req))].find(limit => !limit.allowed);
+        if (blocked) {
+            throw new HttpError(429, "You've sent several messages recently. Please try again later.", 'RATE_LIMITED', { retryAfter: blocked.retryAfter });
+        }
+
+        const message = {
+            id: randomId('msg_'),
+            ...fields,
+            userId: user ? user.id : null,
+            ip: getClientIp(req),
+            createdAt: new Date().toISOString(),
+            readAt: null
+        };
+        store.update(data => data.contactMessages.push(message));
+
+        await sendContactAutoReply(context, fields.email);
+        if (SERVER_CONFIG.contact.notifyEmail) {
+            await sendContactNotification(context, SERVER_CONFIG.contact.notifyEmail, message);
+        }
+
+        return { status: 202, body: { message: "Thanks for your message. We'll be in touch soon." } };
+    }, { auth: 'optional' });
+
+    router.add('GET', '/api/admin/messages', async () => {
+        const messages = store.collection('contactMessages')
+            .slice()
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return { body: { messages, unread: messages.filter(m => !m.readAt).length } };
+    }, { auth: true, admin: true });
+
+    router.add('PATCH', '/api/admin/messages/:messageId', async ({ params, body }) => {
+        const message = findMessage(store, params.messageId);
+        store.update(() => {
+            message.readAt = body.read === false ? null : (message.readAt || new Date().toISOString());
+        });
+        return { body: { message } };
+    }, { auth: true, admin: true });
+
+    router.add('DELETE', '/api/admin/messages/:messageId', async ({ params }) => {
+        findMessage(store, params.messageId);
+        store.update(data => {
+            data.contactMessages = data.contactMessages.filter(m => m.id !== params.messageId);
+        });
+        return { status: 204 };
+    }, { auth: true, admin: true });
+}
+
+module.exports = { registerContactRoutes };
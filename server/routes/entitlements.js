@@ -0,0 +1,37 @@
+// Entitlements API: plan limits, usage, and the upload quota
+const { HttpError } = require('../http');
+const { randomId } = require('../auth');
+const { getEntitlements, getUploadUsage, getEffectiveTier, upgradeTierForUploads, PLAN_ENTITLEMENTS } = require('../entitlements');
+
+function registerEntitlementRoutes(router, { store, audit }) {
+    router.add('GET', '/api/entitlements', async ({ user }) => {
+        return { body: getEntitlements(store, user) };
+    }, { auth: true });
+
+    // Files are parsed in the browser; each accepted upload is recorded here first, and
+    // counted against the plan's monthly allowance
+    router.add('POST', '/api/uploads', async ({ req, user, body }) => {
+        const usage = getUploadUsage(store, user);
+        if (usage.remaining === 0) {
+            const tier = getEffectiveTier(store, user);
+            throw new HttpError(403, `You've reached your ${PLAN_ENTITLEMENTS[tier].name} plan's limit of ${usage.limit} upload${usage.limit === 1 ? '' : 's'} this month.`, 'UPLOAD_LIMIT_REACHED', {
+                uploads: usage,
+                requiredTier: upgradeTierForUploads(tier)
+            });
+        }
+
+        const upload = {
+            id: randomId('upl_'),
+            userId: user.id,
+            fileName: String(body.fileName || 'upload').slice(0, 255),
+            rowCount: Number(body.rowCount) || 0,
+            createdAt: Date.now()
+        };
+        store.update(data => data.uploads.push(upload));
+        audit.record('upload.recorded', { user, req, details: { fileName: upload.fileName, rowCount: upload.rowCount } });
+
+        return { status: 201, body: { upload, uploads: getUploadUsage(store, user) } };
+    }, { auth: true });
+}
+
+module.exports = { registerEntitlementRoutes };
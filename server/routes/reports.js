@@ -0,0 +1,132 @@
+// Scheduled Reports API: the user's report schedules, the report copies the browser saves
+// for them, sending a scheduled report straight away, and the delivery history
+const { HttpError } = require('../http');
+const { randomId } = require('../auth');
+const { SERVER_CONFIG } = require('../config');
+const { RateLimiter } = require('../rate-limit');
+const { requireFeature } = require('../entitlements');
+const {
+    REPORT_TYPES,
+    SNAPSHOT_REPORT_TYPES,
+    SCHEDULED_REPORTS_FEATURE,
+    MAX_SCHEDULES_PER_USER,
+    computeNextRun,
+    getAllowedRecipients,
+    validateScheduleSettings,
+    publicSchedule,
+    publicDelivery,
+    saveReportSnapshot,
+    deliverReport
+} = require('../reports');
+
+// "Send now" emails other people, so it is limited per user
+const sendNowByUser = new RateLimiter({ windowMs: 60 * 60 * 1000, max: 10 });
+
+function findSchedule(store, user, scheduleId) {
+    const schedule = store.collection('reportSchedules').find(s => s.id === scheduleId && s.userId === user.id);
+    if (!schedule) throw new HttpError(404, 'That scheduled report no longer exists.', 'NOT_FOUND');
+    return schedule;
+}
+
+// When each report the browser saves for the user was last saved
+function describeSnapshots(store, user) {
+    return Object.fromEntries(store.collection('reportSnapshots')
+        .filter(snapshot => snapshot.userId === user.id && SNAPSHOT_REPORT_TYPES.includes(snapshot.reportType))
+        .map(snapshot => [snapshot.reportType, snapshot.savedAt]));
+}
+
+function registerReportRoutes(router, context) {
+    const { store, audit } = context;
+
+    router.add('GET', '/api/reports/schedules', async ({ user }) => {
+        return {
+            body: {
+                schedules: store.collection('reportSchedules').filter(s => s.userId === user.id).map(publicSchedule),
+                snapshots: describeSnapshots(store, user)
+            }
+        };
+    }, { auth: true });
+
+    router.add('POST', '/api/reports/schedules', async ({ req, user, body }) => {
+        requireFeature(store, user, SCHEDULED_REPORTS_FEATURE);
+        if (store.collection('reportSchedules').filter(s => s.userId === user.id).length >= MAX_SCHEDULES_PER_USER) {
+            throw new HttpError(400, `You can have up to ${MAX_SCHEDULES_PER_USER} scheduled reports. Delete one to add another.`, 'SCHEDULE_LIMIT');
+        }
+
+        const settings = validateScheduleSettings(body, getAllowedRecipients(store, user));
+        const now = new Date().toISOString();
+        const schedule = {
+            id: randomId('sch_'),
+            userId: user.id,
+            ...settings,
+            nextRunAt: computeNextRun(settings),
+            lastRunAt: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        store.update(data => data.reportSchedules.push(schedule));
+
+        audit.record('report.scheduled', {
+            user,
+            req,
+            details: { scheduleId: schedule.id, reportType: schedule.reportType, frequency: schedule.frequency, format: schedule.format, recipients: schedule.recipients.length }
+        });
+        return { status: 201, body: { schedule: publicSchedule(schedule) } };
+    }, { auth: true });
+
+    // Any setting can change; pausing keeps the schedule, resuming picks the next run from now
+    router.add('PATCH', '/api/reports/schedules/:scheduleId', async ({ user, params, body }) => {
+        const schedule = findSchedule(store, user, params.scheduleId);
+        if (body.active) requireFeature(store, user, SCHEDULED_REPORTS_FEATURE);
+
+        const settings = validateScheduleSettings(body, getAllowedRecipients(store, user), schedule);
+        store.update(() => {
+            Object.assign(schedule, settings, { updatedAt: new Date().toISOString() });
+            schedule.nextRunAt = computeNextRun(schedule);
+        });
+        return { body: { schedule: publicSchedule(schedule) } };
+    }, { auth: true });
+
+    router.add('DELETE', '/api/reports/schedules/:scheduleId', async ({ user, params }) => {
+        const schedule = findSchedule(store, user, params.scheduleId);
+        store.update(data => {
+            data.reportSchedules = data.reportSchedules.filter(s => s !== schedule);
+        });
+        return { status: 204 };
+    }, { auth: true });
+
+    router.add('POST', '/api/reports/schedules/:scheduleId/send', async ({ user, params }) => {
+        const schedule = findSchedule(store, user, params.scheduleId);
+        requireFeature(store, user, SCHEDULED_REPORTS_FEATURE);
+        const limit = sendNowByUser.hit(user.id);
+        if (!limit.allowed) {
+            throw new HttpError(429, "You've sent several reports recently. Please try again later.", 'RATE_LIMITED', { retryAfter: limit.retryAfter });
+        }
+
+        const delivery = await deliverReport(context, schedule, { trigger: 'manual' });
+        return { body: { delivery: publicDelivery(delivery) } };
+    }, { auth: true });
+
+    // The browser saves the latest version of the scheduled reports it alone can build
+    router.add('PUT', '/api/reports/snapshots/:reportType', async ({ user, params, body }) => {
+        if (!REPORT_TYPES[params.reportType]) throw new HttpError(404, 'Unknown report.', 'NOT_FOUND');
+        if (!SNAPSHOT_REPORT_TYPES.includes(params.reportType)) {
+            throw new HttpError(400, 'This report is built from the public sources each time it is sent.', 'SNAPSHOT_NOT_USED');
+        }
+        requireFeature(store, user, SCHEDULED_REPORTS_FEATURE);
+
+        const snapshot = saveReportSnapshot(store, user, params.reportType, body.document);
+        return { body: { savedAt: snapshot.savedAt } };
+    }, { auth: true, maxBodyBytes: SERVER_CONFIG.reports.maxSnapshotBytes });
+
+    router.add('GET', '/api/reports/deliveries', async ({ user }) => {
+        const deliveries = store.collection('reportDeliveries')
+            .filter(delivery => delivery.userId === user.id)
+            .slice(-50)
+            .reverse()
+            .map(publicDelivery);
+        return { body: { deliveries } };
+    }, { auth: true });
+}
+
+module.exports = { registerReportRoutes };
@@ -0,0 +1,184 @@
+// Users API: the signed-in user's own account
+const { HttpError } = require('../http');
+const { hashPassword, verifyPassword } = require('../auth');
+const { SERVER_CONFIG } = require('../config');
+const { sendVerificationEmail } = require('../emails');
+const { publicSubscription, publicInvoice } = require('../billing');
+const { publicSchedule, publicDelivery } = require('../reports');
+const { findMembership, findWorkspaceForUser, removeUserFromWorkspaces } = require('../workspaces');
+const { validatePassword } = require('./auth');
+const {
+    SUBSCRIPTION_TIERS,
+    EMAIL_PATTERN,
+    publicUser,
+    isEmailTaken,
+    isUsernameTaken,
+    validateUsername,
+    updateUser
+} = require('../users');
+
+// Sensitive changes re-check the password even with a valid session
+async function requirePassword(user, password) {
+    if (!(await verifyPassword(String(password || ''), user.password))) {
+        throw new HttpError(403, 'Your current password is incorrect.', 'INVALID_PASSWORD');
+    }
+}
+
+// Membership and the items the user shared; the items' contents belong to the workspace
+function workspaceExport(store, user) {
+    const workspace = findWorkspaceForUser(store, user.id);
+    if (!workspace) return null;
+
+    return {
+        name: workspace.name,
+        role: findMembership(store, user.id).role,
+        owner: workspace.ownerId === user.id,
+        sharedItems: store.collection('workspaceItems')
+            .filter(item => item.workspaceId === workspace.id && item.createdBy === user.id)
+            .map(({ type, name, createdAt }) => ({ type, name, createdAt }))
+    };
+}
+
+function registerUserRoutes(router, context) {
+    const { store, sessions, billing, audit } = context;
+
+    router.add('PATCH', '/api/users/me', async ({ req, user, body }) => {
+        const updates = {};
+
+        if (body.username !== undefined) {
+            const username = validateUsername(body.username);
+            if (isUsernameTaken(store, username, user.id)) {
+                throw new HttpError(409, 'That username is already taken.', 'USERNAME_TAKEN');
+            }
+            updates.username = username;
+        }
+
+        // Only Free can be chosen directly (at signup); paid plans go through checkout,
+        // and leaving one means canceling its subscription
+        if (body.subscriptionTier !== undefined) {
+            if (!SUBSCRIPTION_TIERS.includes(body.subscriptionTier)) {
+                throw new HttpError(400, 'Unknown subscription plan.', 'INVALID_PLAN');
+            }
+            if (body.subscriptionTier !== 'free') {
+                throw new HttpError(402, 'Paid plans are activated through checkout.', 'PAYMENT_REQUIRED', { requiredTier: body.subscriptionTier });
+            }
+            if (billing.getLiveSubscription(user.id)) {
+                throw new HttpError(409, 'Cancel your paid subscription to move to the Free plan.', 'SUBSCRIPTION_ACTIVE');
+            }
+            updates.subscriptionTier = 'free';
+        }
+
+        const previousTier = user.subscriptionTier;
+        const updated = updateUser(store, user.id, updates);
+        if (updates.subscriptionTier && updates.subscriptionTier !== previousTier) {
+            audit.record('plan.changed', { user, req, details: { from: previousTier, to: updates.subscriptionTier, via: 'account' } });
+        }
+
+        return { body: { user: publicUser(updated) } };
+    }, { auth: true });
+
+    // The new address only replaces the old one once its verification link is opened
+    router.add('POST', '/api/users/me/email', async ({ user, body }) => {
+        const email = String(body.email || '').trim();
+        if (!EMAIL_PATTERN.test(email)) {
+            throw new HttpError(400, 'Please enter a valid email address.', 'INVALID_EMAIL');
+        }
+        if (email.toLowerCase() === user.email.toLowerCase()) {
+            throw new HttpError(400, 'That is already your email address.', 'SAME_EMAIL');
+        }
+        await requirePassword(user, body.currentPassword);
+        if (isEmailTaken(store, email, user.id)) {
+            throw new HttpError(409, 'That email address is already used by another account.', 'EMAIL_TAKEN');
+        }
+
+        const updated = updateUser(store, user.id, { pendingEmail: email });
+        await sendVerificationEmail(context, updated, email);
+        return { body: { user: publicUser(updated) } };
+    }, { auth: true });
+
+    // Other sessions are signed out; the one making the change stays signed in
+    router.add('POST', '/api/users/me/password', async ({ req, user, session, body }) => {
+        await requirePassword(user, body.currentPassword);
+        validatePassword(body.newPassword);
+
+        updateUser(store, user.id, { password: await hashPassword(body.newPassword, SERVER_CONFIG.scrypt) });
+        store.update(data => {
+            data.sessions = data.sessions.filter(s => s.userId !== user.id || s.id === session.id);
+        });
+        audit.record('account.password_changed', { user, req });
+
+        return { body: { message: 'Your password has been changed.' } };
+    }, { auth: true });
+
+    // Everything the server stores about the user, minus secrets
+    router.add('GET', '/api/users/me/export', async ({ user }) => {
+        return {
+            body: {
+                exportedAt: new Date().toISOString(),
+                account: publicUser(user),
+                subscriptions: store.collection('subscriptions')
+                    .filter(s => s.userId === user.id)
+                    .map(publicSubscription),
+                invoices: store.collection('invoices')
+                    .filter(i => i.userId === user.id)
+                    .map(publicInvoice),
+                workspace: workspaceExport(store, user),
+                uploads: store.collection('uploads')
+                    .filter(u => u.userId === user.id)
+                    .map(({ fileName, rowCount, createdAt }) => ({ fileName, rowCount, createdAt: new Date(createdAt).toISOString() })),
+                contactMessages: store.collection('contactMessages')
+                    .filter(m => m.userId === user.id)
+                    .map(({ name, email, subject, message, createdAt }) => ({ name, email, subject, message, createdAt })),
+                reportSchedules: store.collection('reportSchedules')
+                    .filter(s => s.userId === user.id)
+                    .map(publicSchedule),
+                reportDeliveries: store.collection('reportDeliveries')
+                    .filter(d => d.userId === user.id)
+                    .map(publicDelivery),
+                activity: audit.query({ userId: user.id, limit: 1000 })
+                    .map(({ type, at, ip, userAgent, details }) => ({ type, at, ip, userAgent, details })),
+                sessions: store.collection('sessions')
+                    .filter(s => s.userId === user.id)
+                    .map(({ createdAt, expiresAt }) => ({ createdAt: new Date(createdAt).toISOString(), expiresAt: new Date(expiresAt).toISOString() }))
+            }
+        };
+    }, { auth: true });
+
+    router.add('DELETE', '/api/users/me', async ({ req, user, body }) => {
+        await requirePassword(user, body.password);
+
+        // Paid plans are canceled first: if the provider can't be reached, the account
+        // stays so the user isn't left being billed for an account that no longer exists
+        try {
+            await billing.cancelSubscriptions(billing.getLiveSubscriptions(user.id));
+        } catch (error) {
+            console.error(`❌ Could not cancel subscriptions for ${user.id}:`, error);
+            throw new HttpError(502, "We couldn't cancel your subscription, so your account hasn't been deleted. Please try again in a few minutes.", 'SUBSCRIPTION_CANCEL_FAILED');
+        }
+
+        store.update(data => {
+            data.users = data.users.filter(u => u.id !== user.id);
+            data.passwordResets = data.passwordResets.filter(r => r.userId !== user.id);
+            data.uploads = data.uploads.filter(u => u.userId !== user.id);
+            data.subscriptions = data.subscriptions.filter(s => s.userId !== user.id);
+            data.invoices = data.invoices.filter(i => i.userId !== user.id);
+            data.reportSchedules = data.reportSchedules.filter(s => s.userId !== user.id);
+            data.reportSnapshots = data.reportSnapshots.filter(s => s.userId !== user.id);
+            data.reportDeliveries = data.reportDeliveries.filter(d => d.userId !== user.id);
+            data.contactMessages.forEach(m => {
+                if (m.userId === user.id) m.userId = null;
+            });
+            data.sourceHealthEvents.forEach(e => {
+                if (e.userId === user.id) e.userId = null;
+            });
+        });
+        removeUserFromWorkspaces(store, user.id);
+        sessions.revokeAllForUser(user.id);
+
+        audit.record('account.deleted', { user, req });
+        console.log(`🗑️ Deleted account ${user.id}`);
+        return { status: 204 };
+    }, { auth: true });
+}
+
+module.exports = { registerUserRoutes };
@@ -0,0 +1,311 @@
+// Workspaces API: the caller's workspace, its members and invitations, and shared items
+const crypto = require('crypto');
+const { HttpError } = require('../http');
+const { randomId } = require('../auth');
+const { SERVER_CONFIG } = require('../config');
+const { sendWorkspaceInviteEmail, hashOneTimeToken } = require('../emails');
+const { getUserTier, PLAN_ENTITLEMENTS, requireFeature } = require('../entitlements');
+const { EMAIL_PATTERN, findUserById } = require('../users');
+const {
+    WORKSPACE_ROLES,
+    WORKSPACE_ITEM_TYPES,
+    findMembership,
+    getWorkspaceOwner,
+    hasRole,
+    requireWorkspaceRole,
+    writeItemContent,
+    readItemContent,
+    deleteItemContent,
+    deleteWorkspace
+} = require('../workspaces');
+
+function validateWorkspaceName(name) {
+    const value = String(name || '').trim();
+    if (value.length < 2 || value.length > 80) {
+        throw new HttpError(400, 'Workspace name must be between 2 and 80 characters.', 'INVALID_WORKSPACE_NAME');
+    }
+    return value;
+}
+
+function validateRole(role) {
+    if (!WORKSPACE_ROLES.includes(role)) {
+        throw new HttpError(400, `Role must be one of: ${WORKSPACE_ROLES.join(', ')}.`, 'INVALID_ROLE');
+    }
+    return role;
+}
+
+function publicItem(store, item) {
+    const creator = findUserById(store, item.createdBy);
+    return {
+        id: item.id,
+        type: item.type,
+        name: item.name,
+        size: item.size,
+        createdBy: item.createdBy,
+        createdByName: creator ? creator.username : 'Former member',
+        createdAt: item.createdAt
+    };
+}
+
+// Everything the workspace page shows; pending invites only go to admins
+function describeWorkspace(store, workspace, membership) {
+    const owner = getWorkspaceOwner(store, workspace);
+    const tier = getUserTier(owner);
+    const members = store.collection('workspaceMembers')
+        .filter(member => member.workspaceId === workspace.id)
+        .map(member => {
+            const user = findUserById(store, member.userId);
+            return { userId: member.userId, username: user.username, email: user.email, role: member.role, joinedAt: member.joinedAt };
+        });
+
+    return {
+        workspace: {
+            id: workspace.id,
+            name: workspace.name,
+            ownerId: workspace.ownerId,
+            tier,
+            planName: PLAN_ENTITLEMENTS[tier].name,
+            createdAt: workspace.createdAt
+        },
+        role: membership.role,
+        members,
+        invites: hasRole(membership, 'admin')
+            ? store.collection('workspaceInvites')
+                .filter(invite => invite.workspaceId === workspace.id && invite.expiresAt > Date.now())
+                .map(({ id, email, role, createdAt, expiresAt }) => ({ id, email, role, createdAt, expiresAt }))
+            : [],
+        items: store.collection('workspaceItems')
+            .filter(item => item.workspaceId === workspace.id)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(item => publicItem(store, item))
+    };
+}
+
+// Shared items arrive as JSON: datasets and dashboards as `data`, reports as base64 `content`
+function readItemUpload(body) {
+    if (!WORKSPACE_ITEM_TYPES.includes(body.type)) {
+        throw new HttpError(400, `Type must be one of: ${WORKSPACE_ITEM_TYPES.join(', ')}.`, 'INVALID_ITEM_TYPE');
+    }
+    const name = String(body.name || '').trim().slice(0, 120);
+    if (!name) throw new HttpError(400, 'Give the shared item a name.', 'INVALID_ITEM_NAME');
+
+    if (body.type === 'report') {
+        const buffer = Buffer.from(String(body.content || ''), 'base64');
+        if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+            throw new HttpError(400, 'Reports must be PDF files.', 'INVALID_ITEM_CONTENT');
+        }
+        return { name, buffer };
+    }
+
+    if (!body.data || typeof body.data !== 'object') {
+        throw new HttpError(400, 'Shared datasets and dashboards need their data.', 'INVALID_ITEM_CONTENT');
+    }
+    if (body.type === 'dataset' && !Array.isArray(body.data.records)) {
+        throw new HttpError(400, 'Datasets must include their records.', 'INVALID_ITEM_CONTENT');
+    }
+    return { name, buffer: Buffer.from(JSON.stringify(body.data)) };
+}
+
+function findWorkspaceItem(store, workspace, itemId) {
+    const item = store.collection('workspaceItems').find(i => i.id === itemId && i.workspaceId === workspace.id);
+    if (!item) throw new HttpError(404, 'That shared item no longer exists.', 'NOT_FOUND');
+    return item;
+}
+
+function registerWorkspaceRoutes(router, context) {
+    const { store } = context;
+
+    router.add('GET', '/api/workspace', async ({ user }) => {
+        const membership = findMembership(store, user.id);
+        if (!membership) return { body: { workspace: null } };
+
+        const { workspace } = requireWorkspaceRole(store, user);
+        return { body: describeWorkspace(store, workspace, membership) };
+    }, { auth: true });
+
+    // The creator becomes the owner, and the workspace runs on their plan
+    router.add('POST', '/api/workspace', async ({ user, body }) => {
+        if (findMembership(store, user.id)) {
+            throw new HttpError(409, "You're already in a workspace. Leave it before creating another.", 'ALREADY_IN_WORKSPACE');
+        }
+
+        const now = new Date().toISOString();
+        const workspace = { id: randomId('ws_'), name: validateWorkspaceName(body.name), ownerId: user.id, createdAt: now };
+        const membership = { workspaceId: workspace.id, userId: user.id, role: 'admin', joinedAt: now };
+        store.update(data => {
+            data.workspaces.push(workspace);
+            data.workspaceMembers.push(membership);
+        });
+
+        return { status: 201, body: describeWorkspace(store, workspace, membership) };
+    }, { auth: true });
+
+    router.add('PATCH', '/api/workspace', async ({ user, body }) => {
+        const { workspace, membership } = requireWorkspaceRole(store, user, 'admin');
+        const name = validateWorkspaceName(body.name);
+        store.update(() => {
+            workspace.name = name;
+        });
+        return { body: describeWorkspace(store, workspace, membership) };
+    }, { auth: true });
+
+    router.add('DELETE', '/api/workspace', async ({ user }) => {
+        const { workspace } = requireWorkspaceRole(store, user, 'admin');
+        if (workspace.ownerId !== user.id) {
+            throw new HttpError(403, 'Only the workspace owner can delete it.', 'NOT_WORKSPACE_OWNER');
+        }
+        deleteWorkspace(store, workspace.id);
+        return { status: 204 };
+    }, { auth: true });
+
+    // Inviting an address again replaces its earlier invite
+    router.add('POST', '/api/workspace/invites', async ({ user, body }) => {
+        const { workspace, membership } = requireWorkspaceRole(store, user, 'admin');
+        const email = String(body.email || '').trim();
+        const role = validateRole(body.role || 'viewer');
+        if (!EMAIL_PATTERN.test(email)) {
+            throw new HttpError(400, 'Please enter a valid email address.', 'INVALID_EMAIL');
+        }
+
+        const existingMember = store.collection('workspaceMembers').some(member => member.workspaceId === workspace.id &&
+            findUserById(store, member.userId).email.toLowerCase() === email.toLowerCase());
+        if (existingMember) {
+            throw new HttpError(409, 'That person is already a member of this workspace.', 'ALREADY_MEMBER');
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        store.update(data => {
+            data.workspaceInvites = data.workspaceInvites.filter(invite => invite.expiresAt > now &&
+                !(invite.workspaceId === workspace.id && invite.email.toLowerCase() === email.toLowerCase()));
+            data.workspaceInvites.push({
+                id: randomId('invite_'),
+                workspaceId: workspace.id,
+                email,
+                role,
+                tokenHash: hashOneTimeToken(token),
+                invitedBy: user.id,
+                createdAt: now,
+                expiresAt: now + SERVER_CONFIG.workspaceInviteTtl
+            });
+        });
+
+        await sendWorkspaceInviteEmail(context, { workspace, inviter: user, email, role, token });
+        return { status: 201, body: describeWorkspace(store, workspace, membership) };
+    }, { auth: true });
+
+    router.add('DELETE', '/api/workspace/invites/:inviteId', async ({ user, params }) => {
+        const { workspace, membership } = requireWorkspaceRole(store, user, 'admin');
+        store.update(data => {
+            data.workspaceInvites = data.workspaceInvites.filter(invite => !(invite.id === params.inviteId && invite.workspaceId === workspace.id));
+        });
+        return { body: describeWorkspace(store, workspace, membership) };
+    }, { auth: true });
+
+    // The invite is bound to the address it was sent to, so a forwarded link is useless
+    router.add('POST', '/api/workspace/invites/accept', async ({ user, body }) => {
+        const tokenHash = hashOneTimeToken(String(body.token || ''));
+        const invite = store.collection('workspaceInvites').find(i => i.tokenHash === tokenHash && i.expiresAt > Date.now());
+        if (!invite) {
+            throw new HttpError(400, 'This invitation is invalid or has expired. Ask for a new one.', 'INVALID_INVITE');
+        }
+        if (invite.email.toLowerCase() !== user.email.toLowerCase()) {
+            throw new HttpError(403, `This invitation was sent to ${invite.email}. Sign in with that address to accept it.`, 'INVITE_EMAIL_MISMATCH');
+        }
+
+        const current = findMembership(store, user.id);
+        if (current && current.workspaceId !== invite.workspaceId) {
+            throw new HttpError(409, "You're already in another workspace. Leave it before accepting this invitation.", 'ALREADY_IN_WORKSPACE');
+        }
+
+        store.update(data => {
+            data.workspaceInvites = data.workspaceInvites.filter(i => i !== invite);
+            if (!current) {
+                data.workspaceMembers.push({ workspaceId: invite.workspaceId, userId: user.id, role: invite.role, joinedAt: new Date().toISOString() });
+            }
+        });
+
+        const { workspace, membership } = requireWorkspaceRole(store, user);
+        console.log(`👥 ${user.id} joined workspace ${workspace.id}`);
+        return { body: describeWorkspace(store, workspace, membership) };
+    }, { auth: true });
+
+    router.add('PATCH', '/api/workspace/members/:userId', async ({ user, params, body }) => {
+        const { workspace, membership } = requireWorkspaceRole(store, user, 'admin');
+        const role = validateRole(body.role);
+        const member = store.collection('workspaceMembers').find(m => m.workspaceId === workspace.id && m.userId === params.userId);
+        if (!member) throw new HttpError(404, 'That person is not a member of this workspace.', 'NOT_FOUND');
+        if (member.userId === workspace.ownerId) {
+            throw new HttpError(400, "The workspace owner's role can't be changed.", 'OWNER_ROLE_FIXED');
+        }
+
+        store.update(() => {
+            member.role = role;
+        });
+        return { body: describeWorkspace(store, workspace, membership) };
+    }, { auth: true });
+
+    // Admins remove members; anyone can remove themselves (leave)
+    router.add('DELETE', '/api/workspace/members/:userId', async ({ user, params }) => {
+        const leaving = params.userId === user.id;
+        const { workspace, membership } = requireWorkspaceRole(store, user, leaving ? 'viewer' : 'admin');
+        if (params.userId === workspace.ownerId) {
+            throw new HttpError(400, "The owner can't leave the workspace. Delete it instead.", 'OWNER_CANNOT_LEAVE');
+        }
+
+        store.update(data => {
+            data.workspaceMembers = data.workspaceMembers.filter(m => !(m.workspaceId === workspace.id && m.userId === params.userId));
+        });
+        return leaving ? { status: 204 } : { body: describeWorkspace(store, workspace, membership) };
+    }, { auth: true });
+
+    router.add('POST', '/api/workspace/items', async ({ user, body }) => {
+        const { workspace } = requireWorkspaceRole(store, user, 'analyst');
+        const { name, buffer } = readItemUpload(body);
+        if (body.type === 'dashboard') requireFeature(store, user, 'customDashboards');
+
+        const item = {
+            id: randomId('item_'),
+            workspaceId: workspace.id,
+            type: body.type,
+            name,
+            size: buffer.length,
+            createdBy: user.id,
+            createdAt: new Date().toISOString()
+        };
+        writeItemContent(item, buffer);
+        store.update(data => data.workspaceItems.push(item));
+
+        return { status: 201, body: { item: publicItem(store, item) } };
+    }, { auth: true, maxBodyBytes: SERVER_CONFIG.maxWorkspaceItemBytes });
+
+    router.add('GET', '/api/workspace/items/:itemId', async ({ user, params }) => {
+        const { workspace } = requireWorkspaceRole(store, user);
+        const item = findWorkspaceItem(store, workspace, params.itemId);
+        if (item.type === 'dashboard') requireFeature(store, user, 'customDashboards');
+        const content = readItemContent(item);
+
+        return {
+            body: item.type === 'report'
+                ? { item: publicItem(store, item), content: content.toString('base64') }
+                : { item: publicItem(store, item), data: JSON.parse(content.toString('utf8')) }
+        };
+    }, { auth: true });
+
+    // Analysts can delete what they shared; admins can delete anything
+    router.add('DELETE', '/api/workspace/items/:itemId', async ({ user, params }) => {
+        const { workspace, membership } = requireWorkspaceRole(store, user, 'analyst');
+        const item = findWorkspaceItem(store, workspace, params.itemId);
+        if (item.createdBy !== user.id && !hasRole(membership, 'admin')) {
+            throw new HttpError(403, 'Only admins can delete items shared by someone else.', 'WORKSPACE_ROLE_REQUIRED', { requiredRole: 'admin' });
+        }
+
+        store.update(data => {
+            data.workspaceItems = data.workspaceItems.filter(i => i.id !== item.id);
+        });
+        deleteItemContent(item);
+        return { status: 204 };
+    }, { auth: true });
+}
+
+module.exports = { registerWorkspaceRoutes };
@@ -0,0 +1,193 @@
+// Ireland Supply Chain Pulse API Server
+// Serves the front end and the /api endpoints from one process, using only Node built-ins.
+//
+//   node server/server.js
+//
+// Data lives in server/data/db.json (see config.js for environment overrides).
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+
+const { SERVER_CONFIG } = require('./config');
+const { JsonStore } = require('./store');
+const { SessionService } = require('./sessions');
+const { createMailTransport } = require('./mail');
+const { createBillingProvider } = require('./billing-providers');
+const { BillingService } = require('./billing');
+const { AuditLog } = require('./audit');
+const { ReportScheduler } = require('./reports');
+const { PLAN_ENTITLEMENTS } = require('./entitlements');
+const { HttpError, Router, readJsonBody, sendJson, sendResult, getBearerToken } = require('./http');
+const { registerAuthRoutes } = require('./routes/auth');
+const { registerUserRoutes } = require('./routes/users');
+const { registerEntitlementRoutes } = require('./routes/entitlements');
+const { registerBillingRoutes } = require('./routes/billing');
+const { registerWorkspaceRoutes } = require('./routes/workspaces');
+const { registerContactRoutes } = require('./routes/contact');
+const { registerAdminRoutes } = require('./routes/admin');
+const { registerAuditRoutes } = require('./routes/audit');
+const { registerReportRoutes } = require('./routes/reports');
+const { isAdmin } = require('./users');
+
+const STATIC_CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Only front-end assets are public; the server code, its data and repository metadata are not
+const PRIVATE_STATIC_PATHS = /^\/(server|\.git|requests\.jsonl)(\/|$)|\/\./;
+
+function loadSessionSecret() {
+    if (SERVER_CONFIG.sessionSecret) return SERVER_CONFIG.sessionSecret;
+
+    const secretPath = path.join(SERVER_CONFIG.dataDir, 'session-secret');
+    try {
+        return fs.readFileSync(secretPath, 'utf8').trim();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        const secret = crypto.randomBytes(32).toString('hex');
+        fs.mkdirSync(SERVER_CONFIG.dataDir, { recursive: true });
+        fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+        console.log(`🔑 Generated session secret at ${secretPath}`);
+        return secret;
+    }
+}
+
+function createApp() {
+    const store = new JsonStore(path.join(SERVER_CONFIG.dataDir, 'db.json'));
+    const secret = loadSessionSecret();
+    const sessions = new SessionService(store, secret, SERVER_CONFIG.sessionTtl, SERVER_CONFIG.sessionIdleTimeout);
+    const mail = createMailTransport(SERVER_CONFIG.mail);
+    const provider = createBillingProvider(SERVER_CONFIG.billing, {
+        appUrl: SERVER_CONFIG.appUrl,
+        prices: Object.fromEntries(Object.entries(PLAN_ENTITLEMENTS).map(([tier, plan]) => [tier, plan.price])),
+        mockWebhookSecret: crypto.createHmac('sha256', secret).update('mock-billing-webhook').digest('hex')
+    });
+    const audit = new AuditLog(SERVER_CONFIG.auditLogPath);
+    const context = { store, sessions, secret, mail, audit };
+    context.billing = new BillingService(context, provider);
+
+    const router = new Router();
+    registerAuthRoutes(router, context);
+    registerUserRoutes(router, context);
+    registerEntitlementRoutes(router, context);
+    registerBillingRoutes(router, context);
+    registerWorkspaceRoutes(router, context);
+    registerContactRoutes(router, context);
+    registerAdminRoutes(router, context);
+    registerAuditRoutes(router, context);
+    registerReportRoutes(router, context);
+
+    return { router, context };
+}
+
+async function handleApiRequest(req, res, url, { router, context }) {
+    const route = router.match(req.method, url.pathname);
+    if (!route) throw new HttpError(404, 'Not found', 'NOT_FOUND');
+
+    const { raw, json } = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method)
+        ? await readJsonBody(req, route.options.maxBodyBytes)
+        : { raw: '', json: {} };
+    const request = {
+        req,
+        params: route.params,
+        query: Object.fromEntries(url.searchParams),
+        body: json,
+        rawBody: raw
+    };
+
+    if (route.options.auth) {
+        const auth = context.sessions.authenticate(getBearerToken(req));
+        if (auth) {
+            Object.assign(request, auth);
+        } else if (route.options.auth !== 'optional') {
+            throw new HttpError(401, 'Your session has expired. Please sign in again.', 'UNAUTHENTICATED');
+        }
+    }
+
+    if (route.options.admin && !(request.user && isAdmin(request.user))) {
+        throw new HttpError(403, 'This page is only available to administrators.', 'ADMIN_REQUIRED');
+    }
+
+    sendResult(res, await route.handler(request));
+}
+
+// A malformed Host header or request path is the client's fault, not a server error
+function parseRequestUrl(req) {
+    try {
+        return new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed request URL', 'BAD_REQUEST');
+    }
+}
+
+function decodePathname(pathname) {
+    try {
+        return decodeURIComponent(pathname);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed request path', 'BAD_REQUEST');
+    }
+}
+
+function serveStatic(req, res, url) {
+    const pathname = decodePathname(url.pathname);
+    const filePath = path.join(SERVER_CONFIG.staticDir, pathname === '/' ? 'index.html' : pathname);
+
+    if (PRIVATE_STATIC_PATHS.test(pathname) || !filePath.startsWith(SERVER_CONFIG.staticDir + path.sep)) {
+        res.writeHead(404).end('Not found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404).end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': STATIC_CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+function startServer(app = createApp(), port = SERVER_CONFIG.port) {
+    const server = http.createServer(async (req, res) => {
+        try {
+            const url = parseRequestUrl(req);
+            if (!url.pathname.startsWith('/api/')) {
+                serveStatic(req, res, url);
+                return;
+            }
+
+            await handleApiRequest(req, res, url, app);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                sendJson(res, error.status, { error: error.message, code: error.code, ...error.details });
+            } else {
+                console.error(`❌ ${req.method} ${req.url} failed:`, error);
+                sendJson(res, 500, { error: 'Internal server error', code: 'INTERNAL' });
+            }
+        }
+    });
+
+    server.listen(port, () => {
+        console.log(`🚀 Ireland Supply Chain Pulse running at ${SERVER_CONFIG.appUrl}`);
+    });
+
+    const scheduler = new ReportScheduler(app.context, { interval: SERVER_CONFIG.reports.schedulerInterval });
+    scheduler.start();
+    server.on('close', () => scheduler.stop());
+    return server;
+}
+
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { createApp, startServer };
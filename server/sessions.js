@@ -0,0 +1,70 @@
+// Sessions
+// Issues signed tokens backed by a session record, so tokens expire on their own and
+// can also be revoked server-side. Sessions end at an absolute expiry or after idleTimeout
+// without any authenticated request, whichever comes first.
+const { signToken, verifyToken, randomId } = require('./auth');
+
+class SessionService {
+    constructor(store, secret, ttl, idleTimeout) {
+        this.store = store;
+        this.secret = secret;
+        this.ttl = ttl;
+        this.idleTimeout = idleTimeout;
+    }
+
+    isLive(session, now = Date.now()) {
+        return session.expiresAt > now && now - (session.lastSeenAt || session.createdAt) <= this.idleTimeout;
+    }
+
+    create(userId) {
+        const now = Date.now();
+        const session = { id: randomId('sess_'), userId, createdAt: now, lastSeenAt: now, expiresAt: now + this.ttl };
+
+        this.store.update(data => {
+            // Expired sessions are pruned whenever a new one is issued
+            data.sessions = data.sessions.filter(s => this.isLive(s, now));
+            data.sessions.push(session);
+        });
+
+        return {
+            token: signToken({ purpose: 'session', sub: userId, sid: session.id, exp: session.expiresAt }, this.secret),
+            expiresAt: session.expiresAt,
+            idleTimeout: this.idleTimeout
+        };
+    }
+
+    // Resolves a bearer token to { user, session }, or null if it is invalid, expired or
+    // revoked, or the account has been disabled
+    authenticate(token) {
+        const payload = verifyToken(token, this.secret);
+        if (!payload || payload.purpose !== 'session') return null;
+
+        const now = Date.now();
+        const session = this.store.collection('sessions').find(s => s.id === payload.sid && s.userId === payload.sub);
+        if (!session || !this.isLive(session, now)) return null;
+
+        // Activity is recorded at most once a minute to keep writes to the store down
+        if (now - (session.lastSeenAt || session.createdAt) > 60 * 1000) {
+            this.store.update(() => {
+                session.lastSeenAt = now;
+            });
+        }
+
+        const user = this.store.collection('users').find(u => u.id === session.userId);
+        return user && !user.disabledAt ? { user, session } : null;
+    }
+
+    revoke(sessionId) {
+        this.store.update(data => {
+            data.sessions = data.sessions.filter(s => s.id !== sessionId);
+        });
+    }
+
+    revokeAllForUser(userId) {
+        this.store.update(data => {
+            data.sessions = data.sessions.filter(s => s.userId !== userId);
+        });
+    }
+}
+
+module.exports = { SessionService };
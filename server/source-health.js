@@ -0,0 +1,84 @@
+// Data-Source Health
+// Browsers fetch the live feeds themselves, so each one reports when a source changes
+// state (e.g. online → offline) and the admin page shows the history per source.
+const { randomId } = require('./auth');
+
+const SOURCE_STATES = ['online', 'offline', 'simulated', 'disabled'];
+const SOURCE_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,39}$/;
+const MAX_EVENTS_PER_REPORT = 20;
+const MAX_EVENT_AGE = 24 * 60 * 60 * 1000;
+// Oldest events are dropped beyond this, so the history can't grow without bound
+const MAX_STORED_EVENTS = 2000;
+
+function toText(value, maxLength) {
+    return value === undefined || value === null ? null : String(value).slice(0, maxLength);
+}
+
+// Keeps the well-formed events, ignoring any the user already reported in that state.
+// Outages and recoveries also go to the audit log.
+function recordSourceEvents({ store, audit }, user, reported, req = null) {
+    const events = (Array.isArray(reported) ? reported : []).slice(0, MAX_EVENTS_PER_REPORT);
+    const receivedAt = Date.now();
+    const lastStates = new Map();
+    store.collection('sourceHealthEvents')
+        .filter(event => event.userId === user.id)
+        .forEach(event => lastStates.set(event.sourceId, event.state));
+
+    const accepted = [];
+    events.forEach(event => {
+        if (!event || !SOURCE_ID_PATTERN.test(event.sourceId) || !SOURCE_STATES.includes(event.state)) return;
+        if (lastStates.get(event.sourceId) === event.state) return;
+
+        const at = Number(event.at);
+        accepted.push({
+            id: randomId('src_'),
+            sourceId: event.sourceId,
+            state: event.state,
+            previousState: lastStates.get(event.sourceId) || null,
+            error: toText(event.error, 300),
+            httpStatus: Number.isInteger(event.httpStatus) ? event.httpStatus : null,
+            latency: Number.isFinite(event.latency) ? Math.round(event.latency) : null,
+            userId: user.id,
+            // Client clocks are only trusted within the day before the report arrived
+            at: Number.isFinite(at) && at <= receivedAt && at > receivedAt - MAX_EVENT_AGE ? at : receivedAt
+        });
+        lastStates.set(event.sourceId, event.state);
+    });
+
+    if (accepted.length > 0) {
+        store.update(data => {
+            data.sourceHealthEvents.push(...accepted);
+            data.sourceHealthEvents = data.sourceHealthEvents.slice(-MAX_STORED_EVENTS);
+        });
+    }
+
+    accepted.forEach(event => {
+        const details = { sourceId: event.sourceId, state: event.state, error: event.error, httpStatus: event.httpStatus };
+        if (event.state === 'offline') {
+            audit.record('source.offline', { user, req, details });
+        } else if (event.previousState === 'offline') {
+            audit.record('source.recovered', { user, req, details });
+        }
+    });
+    return accepted.length;
+}
+
+// { sourceId: [events, newest first] }, each with the reporting user's name
+function getSourceHistory(store, limitPerSource = 50) {
+    const users = new Map(store.collection('users').map(user => [user.id, user.username]));
+    const history = {};
+
+    store.collection('sourceHealthEvents').slice().reverse().forEach(event => {
+        const events = history[event.sourceId] = history[event.sourceId] || [];
+        if (events.length >= limitPerSource) return;
+        events.push({
+            ...event,
+            at: new Date(event.at).toISOString(),
+            reportedBy: users.get(event.userId) || null
+        });
+    });
+
+    return history;
+}
+
+module.exports = { SOURCE_STATES, recordSourceEvents, getSourceHistory };
@@ -0,0 +1,65 @@
+// JSON File Store
+// The whole database is one JSON document, read once at startup and rewritten atomically
+// (temp file + rename) after every change, which is plenty for a single-node deployment.
+const fs = require('fs');
+const path = require('path');
+
+const EMPTY_DATABASE = {
+    users: [],
+    sessions: [],
+    passwordResets: [],
+    uploads: [],
+    workspaces: [],
+    workspaceMembers: [],
+    workspaceInvites: [],
+    workspaceItems: [],
+    contactMessages: [],
+    // Data-source status changes reported by browsers, newest last
+    sourceHealthEvents: [],
+    // Scheduled reports, the latest copy of each report a user has scheduled, and sends
+    reportSchedules: [],
+    reportSnapshots: [],
+    reportDeliveries: [],
+    subscriptions: [],
+    invoices: [],
+    // Provider event ids already handled, so redelivered webhooks are ignored
+    billingEvents: []
+};
+
+class JsonStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            // Collections added in later versions start empty in older files
+            return { ...structuredClone(EMPTY_DATABASE), ...stored };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return structuredClone(EMPTY_DATABASE);
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    collection(name) {
+        return this.data[name];
+    }
+
+    // Applies a mutation and persists it; the mutation's return value is passed through
+    update(mutate) {
+        const result = mutate(this.data);
+        this.save();
+        return result;
+    }
+}
+
+module.exports = { JsonStore };
@@ -0,0 +1,97 @@
+// User Records
+const { SERVER_CONFIG } = require('./config');
+const { HttpError } = require('./http');
+
+const SUBSCRIPTION_TIERS = ['free', 'lite', 'paid_max'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Fields safe to send to the browser; password hashes and tokens never leave the server
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        // Set while a changed address awaits verification; email stays the old one until then
+        pendingEmail: user.pendingEmail || null,
+        subscriptionTier: user.subscriptionTier,
+        isAdmin: isAdmin(user),
+        createdAt: user.createdAt,
+        liveDataEnabled: user.liveDataEnabled
+    };
+}
+
+// Disabled accounts keep their data but can't sign in; admins can re-enable them
+function requireActiveAccount(user) {
+    if (user.disabledAt) {
+        throw new HttpError(403, 'This account has been disabled. Please contact us if you think this is a mistake.', 'ACCOUNT_DISABLED');
+    }
+}
+
+// Site administrators are configured by email (ADMIN_EMAILS) and must have verified it
+function isAdmin(user) {
+    return Boolean(user.emailVerified) && SERVER_CONFIG.adminEmails.includes(user.email.toLowerCase());
+}
+
+// Usernames can't contain '@', so an identifier with one is always an email address
+function validateUsername(username) {
+    const value = typeof username === 'string' ? username.trim() : '';
+    if (value.length < 3) {
+        throw new HttpError(400, 'Username must be at least 3 characters long.', 'INVALID_USERNAME');
+    }
+    if (value.includes('@')) {
+        throw new HttpError(400, "Usernames can't contain '@'.", 'INVALID_USERNAME');
+    }
+    return value;
+}
+
+function findUserByIdentifier(store, identifier) {
+    const value = String(identifier || '').trim().toLowerCase();
+    return value.includes('@')
+        ? store.collection('users').find(user => user.email.toLowerCase() === value)
+        : store.collection('users').find(user => user.username.toLowerCase() === value);
+}
+
+function findUserById(store, userId) {
+    return store.collection('users').find(user => user.id === userId);
+}
+
+function userExists(store, email, username) {
+    return store.collection('users').some(user =>
+        user.email.toLowerCase() === email.toLowerCase() ||
+        user.username.toLowerCase() === username.toLowerCase());
+}
+
+function isEmailTaken(store, email, exceptUserId = null) {
+    const value = email.toLowerCase();
+    return store.collection('users').some(user => user.id !== exceptUserId &&
+        (user.email.toLowerCase() === value || (user.pendingEmail || '').toLowerCase() === value));
+}
+
+function isUsernameTaken(store, username, exceptUserId = null) {
+    return store.collection('users').some(user => user.id !== exceptUserId &&
+        user.username.toLowerCase() === username.toLowerCase());
+}
+
+function updateUser(store, userId, updates) {
+    return store.update(data => {
+        const user = data.users.find(u => u.id === userId);
+        if (user) Object.assign(user, updates);
+        return user;
+    });
+}
+
+module.exports = {
+    SUBSCRIPTION_TIERS,
+    EMAIL_PATTERN,
+    publicUser,
+    isAdmin,
+    requireActiveAccount,
+    validateUsername,
+    findUserByIdentifier,
+    findUserById,
+    userExists,
+    isEmailTaken,
+    isUsernameTaken,
+    updateUser
+};
@@ -0,0 +1,114 @@
+// Workspaces
+// A workspace is a team sharing one plan (the owner's subscription), with uploaded
+// datasets, saved dashboard views and generated reports visible to every member.
+// Each user belongs to at most one workspace. Roles, from least to most access:
+//   viewer  - sees and downloads shared items
+//   analyst - also shares items and deletes their own
+//   admin   - also invites, removes and re-roles members and deletes any item
+// The owner is an admin who can't be removed; only they can delete the workspace.
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http');
+const { SERVER_CONFIG } = require('./config');
+const { findUserById } = require('./users');
+
+const WORKSPACE_ROLES = ['viewer', 'analyst', 'admin'];
+const WORKSPACE_ITEM_TYPES = ['dataset', 'dashboard', 'report'];
+
+function findMembership(store, userId) {
+    return store.collection('workspaceMembers').find(member => member.userId === userId) || null;
+}
+
+function findWorkspaceForUser(store, userId) {
+    const membership = findMembership(store, userId);
+    return membership ? store.collection('workspaces').find(w => w.id === membership.workspaceId) : null;
+}
+
+// The workspace's plan is its owner's subscription
+function getWorkspaceOwner(store, workspace) {
+    return findUserById(store, workspace.ownerId);
+}
+
+function getMemberIds(store, workspaceId) {
+    return store.collection('workspaceMembers')
+        .filter(member => member.workspaceId === workspaceId)
+        .map(member => member.userId);
+}
+
+function hasRole(membership, minimumRole) {
+    return WORKSPACE_ROLES.indexOf(membership.role) >= WORKSPACE_ROLES.indexOf(minimumRole);
+}
+
+// Resolves the caller's workspace, or fails if they lack minimumRole in it
+function requireWorkspaceRole(store, user, minimumRole = 'viewer') {
+    const membership = findMembership(store, user.id);
+    if (!membership) {
+        throw new HttpError(404, "You're not a member of a workspace.", 'NO_WORKSPACE');
+    }
+    if (!hasRole(membership, minimumRole)) {
+        throw new HttpError(403, `This needs the ${minimumRole} role${minimumRole === 'admin' ? '' : ' or higher'} in your workspace.`, 'WORKSPACE_ROLE_REQUIRED', { requiredRole: minimumRole });
+    }
+
+    const workspace = store.collection('workspaces').find(w => w.id === membership.workspaceId);
+    return { workspace, membership };
+}
+
+function itemFilePath(item) {
+    return path.join(SERVER_CONFIG.workspaceFilesDir, `${item.id}${item.type === 'report' ? '.pdf' : '.json'}`);
+}
+
+function writeItemContent(item, buffer) {
+    fs.mkdirSync(SERVER_CONFIG.workspaceFilesDir, { recursive: true });
+    fs.writeFileSync(itemFilePath(item), buffer, { mode: 0o600 });
+}
+
+function readItemContent(item) {
+    return fs.readFileSync(itemFilePath(item));
+}
+
+function deleteItemContent(item) {
+    fs.rmSync(itemFilePath(item), { force: true });
+}
+
+// Removes the workspace and everything in it, including shared files
+function deleteWorkspace(store, workspaceId) {
+    const items = store.collection('workspaceItems').filter(item => item.workspaceId === workspaceId);
+
+    store.update(data => {
+        data.workspaces = data.workspaces.filter(w => w.id !== workspaceId);
+        data.workspaceMembers = data.workspaceMembers.filter(m => m.workspaceId !== workspaceId);
+        data.workspaceInvites = data.workspaceInvites.filter(i => i.workspaceId !== workspaceId);
+        data.workspaceItems = data.workspaceItems.filter(i => i.workspaceId !== workspaceId);
+    });
+
+    items.forEach(deleteItemContent);
+}
+
+// Account deletion: an owner takes the workspace with them; anyone else just leaves
+function removeUserFromWorkspaces(store, userId) {
+    const workspace = findWorkspaceForUser(store, userId);
+    if (workspace && workspace.ownerId === userId) {
+        deleteWorkspace(store, workspace.id);
+        return;
+    }
+
+    store.update(data => {
+        data.workspaceMembers = data.workspaceMembers.filter(m => m.userId !== userId);
+    });
+}
+
+module.exports = {
+    WORKSPACE_ROLES,
+    WORKSPACE_ITEM_TYPES,
+    findMembership,
+    findWorkspaceForUser,
+    getWorkspaceOwner,
+    getMemberIds,
+    hasRole,
+    requireWorkspaceRole,
+    writeItemContent,
+    readItemContent,
+    deleteItemContent,
+    deleteWorkspace,
+    removeUserFromWorkspaces
+};
@@ -0,0 +1,59 @@
+// Loads the browser app (data-sources.js, then app.js) into a sandbox with just enough of the DOM and
+// storage APIs stubbed for its top-level code to run, so tests can call into it.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function createElementStub() {
+    return new Proxy(function () {}, {
+        get: (target, key) => {
+            if (key === Symbol.toPrimitive) return () => '';
+            if (key === 'style' || key === 'dataset' || key === 'classList') return new Proxy({}, { get: () => () => {} });
+            return createElementStub();
+        },
+        apply: () => createElementStub()
+    });
+}
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); }
+    };
+}
+
+function loadApp() {
+    const context = {
+        console, URL, URLSearchParams, TextDecoder, Intl, performance,
+        setTimeout, clearTimeout, setInterval, clearInterval,
+        localStorage: createStorage(),
+        sessionStorage: createStorage(),
+        document: {
+            addEventListener() {},
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            createElement: () => createElementStub()
+        },
+        location: { search: '', pathname: '/' },
+        fetch: async () => { throw new Error('Network access is disabled in tests'); }
+    };
+    context.window = Object.assign({ addEventListener() {} }, context);
+    vm.createContext(context);
+    ['data-sources.js', 'app.js'].forEach(filename => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, filename), 'utf8'), context, { filename });
+    });
+
+    // Top-level const/class declarations live in the sandbox's script scope, not on its global
+    return { evaluate: expression => vm.runInContext(expression, context) };
+}
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(ROOT, 'fixtures', name), 'utf8');
+}
+
+module.exports = { loadApp, readFixture };
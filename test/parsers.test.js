@@ -0,0 +1,77 @@
+// Runs each live data parser on the recorded API responses in fixtures/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, readFixture } = require('./load-app');
+
+// The parsers in data-sources.js, as the browser loads them alongside app.js
+const { processWorldBankData, processOECDData, processCSOData, processEurostatData } =
+    loadApp().evaluate('({ processWorldBankData, processOECDData, processCSOData, processEurostatData })');
+const fixture = name => JSON.parse(readFixture(name));
+
+test('processWorldBankData totals the latest year with both flows reported', () => {
+    const data = processWorldBankData(fixture('worldbank-trade.json'));
+
+    assert.strictEqual(data.year, 2023);
+    assert.strictEqual(data.currency, 'USD');
+    assert.strictEqual(data.exports, '$756.1B');
+    assert.strictEqual(data.imports, '$528.3B');
+    assert.strictEqual(data.tradeSurplus, '$227.8B');
+    assert.strictEqual(data.growth, '+4.8%');
+    assert.deepEqual(data.timeSeries.series.map(series => series.key), ['NE.EXP.GNFS.CD', 'NE.IMP.GNFS.CD']);
+});
+
+test('processWorldBankData rejects an error payload', () => {
+    assert.throws(
+        () => processWorldBankData([{ message: [{ value: 'Invalid format' }] }]),
+        /World Bank: Invalid format/
+    );
+});
+
+test('processOECDData summarises each SDMX-JSON series', () => {
+    const data = processOECDData(fixture('oecd-trade-goods.json'));
+
+    assert.strictEqual(data.timeSeries.frequency, 'A');
+    assert.strictEqual(data.timeSeries.unit, 'US dollars, billions');
+    assert.deepEqual(data.indicators.map(indicator => indicator.label), ['Exports', 'Imports']);
+
+    const [exportsIndicator] = data.indicators;
+    assert.deepEqual(exportsIndicator.latest, { period: '2024', value: 251.3 });
+    assert.deepEqual(exportsIndicator.previous, { period: '2023', value: 228.1 });
+});
+
+test('processOECDData rejects a payload that is not SDMX-JSON', () => {
+    assert.throws(() => processOECDData({ foo: 'bar' }), /OECD: response is not SDMX-JSON/);
+});
+
+test('processCSOData splits monthly totals from the commodity breakdown', () => {
+    const data = processCSOData(fixture('cso-tsa11.json'));
+
+    assert.strictEqual(data.monthlyExports.length, 9);
+    assert.strictEqual(data.monthlyImports.length, 9);
+    assert.strictEqual(data.monthlyExports[0].period, '2025M01');
+    assert.strictEqual(data.monthlyExports[0].month, 'Jan');
+    assert.strictEqual(data.monthlyExports[0].value, 19.2);
+
+    assert.strictEqual(data.topCommodities[0].name, 'Medical and pharmaceutical products');
+    assert.strictEqual(data.topCommodities[0].share, 45);
+    assert.strictEqual(data.topCommodities.reduce((sum, commodity) => sum + commodity.share, 0), 100);
+});
+
+test('processCSOData keeps only periods inside the dashboard range', () => {
+    const data = processCSOData(fixture('cso-tsa11.json'), { from: '2025-02', to: '2025-04' });
+
+    assert.deepEqual(data.monthlyExports.map(point => point.period), ['2025M02', '2025M03', '2025M04']);
+});
+
+test('processEurostatData derives the intra-EU share of exports', () => {
+    const data = processEurostatData(fixture('eurostat-ext_lt_intratrd.json'));
+
+    assert.strictEqual(data.year, 2023);
+    assert.strictEqual(data.intraExports, '€93.9B');
+    assert.strictEqual(data.extraExports, '€157.3B');
+    assert.strictEqual(data.intraExportShare.toFixed(1), '37.4');
+});
+
+test('processEurostatData rejects a payload that is not JSON-stat', () => {
+    assert.throws(() => processEurostatData({ class: 'collection' }), /eurostat: response is not a JSON-stat 2.0 dataset/);
+});
@@ -0,0 +1,86 @@
+// Scheduled dashboard and case-study reports, built on the server from the public sources;
+// requests are answered from the recorded responses in fixtures/
+const test = require('node:test');
+const assert = require('node:assert');
+const { readFixture } = require('./load-app');
+const { fetchPublicData } = require('../server/public-data');
+const { LIVE_REPORT_BUILDERS } = require('../server/live-reports');
+const { normalizeReportDocument } = require('../server/reports');
+const { renderReportPdf } = require('../server/report-pdf');
+
+const FIXTURES = {
+    'api.worldbank.org': 'worldbank-trade.json',
+    'sdmx.oecd.org': 'oecd-trade-goods.json',
+    'ws.cso.ie': 'cso-tsa11.json',
+    'ec.europa.eu': 'eurostat-ext_lt_intratrd.json'
+};
+const now = new Date('2025-10-15T09:00:00Z');
+const fromFixtures = async url => readFixture(FIXTURES[new URL(url).hostname]);
+
+test('fetchPublicData parses every source', async () => {
+    const sources = await fetchPublicData({ now, fetch: fromFixtures });
+
+    Object.values(sources).forEach(source => assert.strictEqual(source.error, null, `${source.id}: ${source.error}`));
+    assert.strictEqual(sources.worldBank.data.year, 2023);
+    assert.strictEqual(sources.worldBank.data.growth, '+4.8%');
+    assert.strictEqual(sources.oecd.period, '2019 – 2024');
+    assert.strictEqual(sources.cso.period, 'Jan 2025 – Sep 2025');
+    assert.strictEqual(sources.cso.data.topCommodities[0].name, 'Medical and pharmaceutical products');
+    assert.strictEqual(sources.eurostat.data.intraExportShare.toFixed(1), '37.4');
+    assert.strictEqual(sources.dublinPort.data.period, '2025-Q2');
+    assert.strictEqual(sources.dublinPort.data.periods.length, 6);
+});
+
+test('fetchPublicData builds requests from the shared endpoint configuration and overrides', async () => {
+    const requested = [];
+    const sources = await fetchPublicData({
+        now,
+        overrides: { oecd: { enabled: false }, eurostat: { url: 'https://ec.europa.eu/mirror/ext_lt_intratrd.json' } },
+        fetch: async url => {
+            requested.push(url);
+            return fromFixtures(url);
+        }
+    });
+
+    assert.strictEqual(sources.oecd.error, 'Disabled in the endpoint configuration');
+    assert.strictEqual(sources.oecd.data, null);
+    assert.ok(requested.every(url => !url.includes('sdmx.oecd.org')));
+    assert.ok(requested.includes('https://ec.europa.eu/mirror/ext_lt_intratrd.json'));
+    assert.match(requested.find(url => url.includes('worldbank')), /[?&]date=2024:2025(&|$)/);
+
+    const csoRequest = JSON.parse(new URL(requested.find(url => url.includes('ws.cso.ie'))).searchParams.get('data'));
+    assert.deepStrictEqual(csoRequest.params.id, ['TLIST(M1)']);
+    assert.strictEqual(csoRequest.params.dimension['TLIST(M1)'].category.index.length, 22);
+});
+
+test('a source that fails is reported without data', async () => {
+    const sources = await fetchPublicData({
+        now,
+        fetch: async url => {
+            if (url.includes('ws.cso.ie')) throw new Error('HTTP 503');
+            return fromFixtures(url);
+        }
+    });
+
+    assert.strictEqual(sources.cso.data, null);
+    assert.strictEqual(sources.cso.error, 'HTTP 503');
+    assert.strictEqual(sources.worldBank.error, null);
+
+    const document = normalizeReportDocument(LIVE_REPORT_BUILDERS.dashboard(sources, { timeZone: 'Europe/Dublin' }));
+    const appendix = document.blocks.filter(block => block.type === 'table').pop();
+    assert.match(appendix.rows.find(row => row[0] === 'CSO Ireland API')[3], /^Not available when this report was sent \(HTTP 503\)$/);
+});
+
+test('dashboard and case-study reports render from the fetched figures', async () => {
+    const sources = await fetchPublicData({ now, fetch: fromFixtures });
+
+    const dashboard = normalizeReportDocument(LIVE_REPORT_BUILDERS.dashboard(sources, { timeZone: 'Europe/Dublin' }));
+    const keyFigures = dashboard.blocks.find(block => block.type === 'table');
+    assert.deepStrictEqual(keyFigures.rows[1].slice(0, 4), ['Exports of goods and services', '$756.1B', '+2.6% vs 2022', '2023']);
+
+    const caseStudies = normalizeReportDocument(LIVE_REPORT_BUILDERS.caseStudies(sources, { timeZone: 'Europe/Dublin' }));
+    [dashboard, caseStudies].forEach(document => {
+        const pdf = renderReportPdf(document, { footer: 'Test', note: null });
+        assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+    });
+});
@@ -0,0 +1,40 @@
+// Smoke tests for the server-side PDF renderer used by scheduled reports
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderReportPdf, PdfCanvas } = require('../server/report-pdf');
+const { normalizeReportDocument } = require('../server/reports');
+
+test('wrap breaks a word longer than the line into lines that each fit', () => {
+    const canvas = new PdfCanvas();
+    const word = 'W'.repeat(2000);
+    const lines = canvas.wrap(`Before ${word} after`, 40, 'bold', 12);
+
+    assert.strictEqual(lines[0], 'Before');
+    assert.ok(lines.length > 3);
+    lines.forEach(line => assert.ok(canvas.textWidth(line, 'bold', 12) <= 40, `"${line}" overflows`));
+    assert.strictEqual(lines.join('').replace(/\s/g, ''), `Before${word}after`);
+});
+
+test('renders a snapshot full of long unbroken words', { timeout: 10000 }, () => {
+    const longWord = 'x'.repeat(5000);
+    const document = normalizeReportDocument({
+        title: 'Long word report',
+        cover: { subtitle: 'y'.repeat(300), details: ['z'.repeat(1000)] },
+        blocks: [
+            { type: 'heading', text: 'h'.repeat(300) },
+            { type: 'paragraph', text: longWord },
+            { type: 'bullets', items: [longWord, longWord] },
+            {
+                type: 'table',
+                columns: Array.from({ length: 12 }, (_, index) => ({ label: `Column ${index + 1}` })),
+                rows: Array.from({ length: 20 }, () => Array(12).fill('q'.repeat(1000)))
+            }
+        ]
+    });
+
+    const pdf = renderReportPdf(document, { footer: 'Smoke test', note: 'n'.repeat(2000) });
+
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.match(pdf.subarray(-16).toString(), /%%EOF\s*$/);
+});